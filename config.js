@@ -0,0 +1,224 @@
+const path = require('path');
+
+// Variables already set in the environment take precedence over the .env file
+require('dotenv').config({ path: path.join(__dirname, '.env'), quiet: true });
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// Marks a variable that has no default in an environment, and must be set there
+const REQUIRED = Symbol('required');
+
+const DEVELOPMENT_SECRET = 'quiz-peach-development-secret';
+
+// Parsers turn the text of a variable into its value, and throw a message if it is invalid
+const string = (value) => value;
+
+const integer = (min, max) => (value) => {
+    const number = Number(value);
+    if (!/^\d+$/.test(value.trim()) || number < min || number > max) {
+        throw new Error(`must be an integer between ${min} and ${max}`);
+    }
+    return number;
+};
+
+const boolean = (value) => {
+    if (!['true', 'false'].includes(value.trim().toLowerCase())) {
+        throw new Error('must be true or false');
+    }
+    return value.trim().toLowerCase() === 'true';
+};
+
+const oneOf = (values) => (value) => {
+    const match = values.find((allowed) => allowed.toLowerCase() === value.trim().toLowerCase());
+    if (!match) {
+        throw new Error(`must be one of: ${values.join(', ')}`);
+    }
+    return match;
+};
+
+const url = (value) => {
+    try {
+        return new URL(value.trim()).toString().replace(/\/$/, '');
+    } catch (error) {
+        throw new Error('must be a URL');
+    }
+};
+
+// Express's "trust proxy" setting: false, the number of proxies in front of the app, or the
+// addresses and subnets of the proxies, e.g. loopback or 10.0.0.0/8
+const trustProxy = (value) => {
+    const text = value.trim();
+    if (text.toLowerCase() === 'false') {
+        return false;
+    }
+    if (text.toLowerCase() === 'true') {
+        throw new Error('must be false, a number of proxies or their addresses; true would let any client choose its address');
+    }
+    return /^\d+$/.test(text) ? Number(text) : list(text);
+};
+
+const PERIODS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// A number of requests per period, e.g. "20/15m" for 20 requests per 15 minutes
+const rate = (value) => {
+    const match = /^(\d+)\s*\/\s*(\d+)\s*([smhd])$/.exec(value.trim());
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        throw new Error('must be a number of requests per period, e.g. 20/15m, with s, m, h or d');
+    }
+    return Object.freeze({ limit: Number(match[1]), windowMs: Number(match[2]) * PERIODS_MS[match[3]] });
+};
+
+const list = (value) => {
+    const items = value.split(',').map((item) => item.trim()).filter(Boolean);
+    if (items.length === 0) {
+        throw new Error('must list at least one value, separated by commas');
+    }
+    return items;
+};
+
+/**
+ * Every variable the application reads: how to parse it, its default, and the defaults of the
+ * environments that differ. A default of REQUIRED makes the variable required in that environment.
+ */
+const SCHEMA = {
+    PORT: { parse: integer(1, 65535), default: 9090 },
+    CORS_ORIGINS: { parse: list, default: ['http://localhost:3000'], production: REQUIRED },
+    DATABASE_STORAGE: { parse: string, default: 'db/database.sqlite', test: 'db/database.test.sqlite' },
+    SESSION_STORAGE: { parse: string, default: 'db/sessions.sqlite', test: 'db/sessions.test.sqlite' },
+    SESSION_SECRET: { parse: string, default: DEVELOPMENT_SECRET, production: REQUIRED },
+    SESSION_COOKIE_NAME: { parse: string, default: 'quizpeach.sid' },
+    SESSION_COOKIE_SECURE: { parse: boolean, default: false, production: true },
+    SESSION_COOKIE_SAMESITE: { parse: oneOf(['Strict', 'Lax', 'None']), default: 'Lax' },
+    SESSION_IDLE_TIMEOUT_MINUTES: { parse: integer(1, 525600), default: 120 },
+    SESSION_ABSOLUTE_TIMEOUT_HOURS: { parse: integer(1, 8760), default: 168 },
+    // Proxies whose X-Forwarded-For and X-Forwarded-Proto headers are believed
+    TRUST_PROXY: { parse: trustProxy, default: false },
+    BCRYPT_ROUNDS: { parse: integer(4, 15), default: 10, test: 4 },
+    LOG_OUTPUT_FILE: { parse: string, default: 'outputLog.log' },
+    LOG_ERROR_FILE: { parse: string, default: 'errorsLog.log' },
+    // See services/retries
+    RETRY_POLICY: { parse: oneOf(['single', 'practice']), default: 'single' },
+    // See i18n.js
+    DEFAULT_LANGUAGE: { parse: oneOf(['en', 'fa']), default: 'en' },
+    // Links in emails open the web app, e.g. at /reset-password?token=...
+    APP_URL: { parse: url, default: 'http://localhost:3000', production: REQUIRED },
+    // See services/mailer
+    MAIL_TRANSPORT: { parse: oneOf(['outbox', 'smtp']), default: 'outbox' },
+    MAIL_OUTBOX_DIR: { parse: string, default: 'mail/outbox', test: 'mail/outbox.test' },
+    MAIL_FROM: { parse: string, default: 'Quiz Peach <no-reply@localhost>' },
+    SMTP_URL: { parse: url, default: undefined },
+    EMAIL_VERIFICATION_TOKEN_HOURS: { parse: integer(1, 720), default: 48 },
+    PASSWORD_RESET_TOKEN_MINUTES: { parse: integer(5, 1440), default: 60 },
+    // See services/rateLimits
+    RATE_LIMIT_STORE: { parse: oneOf(['memory', 'sqlite']), default: 'memory' },
+    RATE_LIMIT_STORAGE: { parse: string, default: 'db/rate-limits.sqlite', test: 'db/rate-limits.test.sqlite' },
+    RATE_LIMIT_LOGIN: { parse: rate, default: rate('20/15m') },
+    RATE_LIMIT_REGISTER: { parse: rate, default: rate('5/1h') },
+    RATE_LIMIT_EMAIL: { parse: rate, default: rate('5/1h') },
+    RATE_LIMIT_ANSWER: { parse: rate, default: rate('60/1m') },
+    LOGIN_LOCKOUT_THRESHOLD: { parse: integer(1, 100), default: 5 },
+    LOGIN_LOCKOUT_MINUTES: { parse: integer(1, 1440), default: 1 },
+    LOGIN_LOCKOUT_MAX_MINUTES: { parse: integer(1, 10080), default: 60 },
+};
+
+/**
+ * Reads and validates every variable of the schema for an environment.
+ *
+ * @returns {{ values: object, errors: string[] }} values by variable name, and a message for
+ *   every variable that is invalid or required but not set
+ */
+const loadValues = (env, source) => {
+    const values = {};
+    const errors = [];
+
+    Object.entries(SCHEMA).forEach(([name, variable]) => {
+        const fallback = variable[env] !== undefined ? variable[env] : variable.default;
+        const text = source[name];
+
+        if (text === undefined || text.trim() === '') {
+            if (fallback === REQUIRED) {
+                errors.push(`${name} must be set in ${env}`);
+            }
+            values[name] = fallback;
+            return;
+        }
+
+        try {
+            values[name] = variable.parse(text);
+        } catch (error) {
+            errors.push(`${name} ${error.message}`);
+        }
+    });
+
+    return { values, errors };
+};
+
+const env = process.env.NODE_ENV || 'development';
+if (!ENVIRONMENTS.includes(env)) {
+    throw new Error(`Invalid configuration: NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')}.`);
+}
+
+// Fail on startup, listing every problem at once, rather than on the first request that needs a value
+const { values, errors } = loadValues(env, process.env);
+if (values.SESSION_COOKIE_SAMESITE === 'None' && !values.SESSION_COOKIE_SECURE) {
+    errors.push('SESSION_COOKIE_SAMESITE can only be None if SESSION_COOKIE_SECURE is true, as browsers require');
+}
+if (values.LOGIN_LOCKOUT_MAX_MINUTES < values.LOGIN_LOCKOUT_MINUTES) {
+    errors.push('LOGIN_LOCKOUT_MAX_MINUTES must be at least LOGIN_LOCKOUT_MINUTES');
+}
+if (values.MAIL_TRANSPORT === 'smtp' && !values.SMTP_URL) {
+    errors.push('SMTP_URL must be set if MAIL_TRANSPORT is smtp');
+}
+if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map((error) => `  - ${error}.`).join('\n')}`);
+}
+
+if (values.SESSION_SECRET === DEVELOPMENT_SECRET && env === 'development') {
+    console.warn('SESSION_SECRET is not set; using an insecure development secret.');
+}
+
+module.exports = Object.freeze({
+    env,
+    isProduction: env === 'production',
+    port: values.PORT,
+    corsOrigins: values.CORS_ORIGINS,
+    databaseStorage: values.DATABASE_STORAGE,
+    sessionStorage: values.SESSION_STORAGE,
+    trustProxy: values.TRUST_PROXY,
+    session: Object.freeze({
+        secret: values.SESSION_SECRET,
+        cookieName: values.SESSION_COOKIE_NAME,
+        cookieSecure: values.SESSION_COOKIE_SECURE,
+        cookieSameSite: values.SESSION_COOKIE_SAMESITE,
+        idleTimeoutMinutes: values.SESSION_IDLE_TIMEOUT_MINUTES,
+        absoluteTimeoutHours: values.SESSION_ABSOLUTE_TIMEOUT_HOURS,
+    }),
+    bcryptRounds: values.BCRYPT_ROUNDS,
+    logs: Object.freeze({ outputFile: values.LOG_OUTPUT_FILE, errorFile: values.LOG_ERROR_FILE }),
+    retryPolicy: values.RETRY_POLICY,
+    defaultLanguage: values.DEFAULT_LANGUAGE,
+    appUrl: values.APP_URL,
+    mail: Object.freeze({
+        transport: values.MAIL_TRANSPORT,
+        outboxDir: values.MAIL_OUTBOX_DIR,
+        from: values.MAIL_FROM,
+        smtpUrl: values.SMTP_URL,
+    }),
+    tokenLifetimes: Object.freeze({
+        emailVerificationHours: values.EMAIL_VERIFICATION_TOKEN_HOURS,
+        passwordResetMinutes: values.PASSWORD_RESET_TOKEN_MINUTES,
+    }),
+    rateLimits: Object.freeze({
+        store: values.RATE_LIMIT_STORE,
+        storage: values.RATE_LIMIT_STORAGE,
+        login: values.RATE_LIMIT_LOGIN,
+        register: values.RATE_LIMIT_REGISTER,
+        email: values.RATE_LIMIT_EMAIL,
+        answer: values.RATE_LIMIT_ANSWER,
+    }),
+    loginLockout: Object.freeze({
+        threshold: values.LOGIN_LOCKOUT_THRESHOLD,
+        minutes: values.LOGIN_LOCKOUT_MINUTES,
+        maxMinutes: values.LOGIN_LOCKOUT_MAX_MINUTES,
+    }),
+});
@@ -1,14 +1,21 @@
 const { Sequelize } = require('sequelize');
+const config = require('./config');
 
 // Initialize Sequelize for SQLite
 const sequelize = new Sequelize({
     dialect: 'sqlite',
-    storage: 'db/database.sqlite',
+    storage: config.databaseStorage,
     logging: false,
+    // A transaction gets its own connection, which fails while another one is writing; wait for it
+    retry: {
+        match: [/SQLITE_BUSY/],
+        max: 10,
+    },
 });
 
-// Test the database connection
-(async () => {
+// Test the database connection. The schema is managed by the migrations in migrations/; see
+// migrator.js, whose assertMigrated the server and scripts await before touching the database.
+sequelize.connected = (async () => {
     try {
         await sequelize.authenticate();
         console.log('Connection to SQLite has been established successfully.');
@@ -18,14 +25,4 @@ const sequelize = new Sequelize({
     }
 })();
 
-// Synchronize models
-(async () => {
-    try {
-        await sequelize.sync({ alter: true }); // Use { alter: true } for safe updates
-        console.log('All models were synchronized successfully.');
-    } catch (error) {
-        console.error('Error synchronizing models:', error);
-    }
-})();
-
 module.exports = sequelize;
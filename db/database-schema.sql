@@ -1,58 +1,25 @@
-BEGIN TRANSACTION;
-CREATE TABLE IF NOT EXISTS "AnsweredQuestionUsers" (
-	"question_id"	INTEGER NOT NULL UNIQUE,
-	"user_id"	INTEGER NOT NULL UNIQUE,
-	"answered_status"	TEXT NOT NULL,
-	PRIMARY KEY("question_id","user_id"),
-	FOREIGN KEY("question_id") REFERENCES "Questions"("id"),
-	FOREIGN KEY("user_id") REFERENCES "Users"("id")
-);
-CREATE TABLE IF NOT EXISTS "Questions" (
-	"id"	INTEGER,
-	"creator_id"	INTEGER NOT NULL,
-	"name"	VARCHAR(255) NOT NULL,
-	"question"	TEXT NOT NULL,
-	"option1"	TEXT NOT NULL,
-	"option2"	TEXT NOT NULL,
-	"option3"	TEXT NOT NULL,
-	"option4"	TEXT NOT NULL,
-	"correct_option"	INTEGER NOT NULL,
-	"level"	TEXT DEFAULT 'ساده',
-	"answer_count"	INTEGER DEFAULT '0',
-	"correct_answer_count"	INTEGER DEFAULT '0',
-	"tag_id"	INTEGER NOT NULL,
-	PRIMARY KEY("id"),
-	FOREIGN KEY("creator_id") REFERENCES "Users"("id"),
-	FOREIGN KEY("tag_id") REFERENCES "Tags"("id") ON DELETE NO ACTION ON UPDATE CASCADE
-);
-CREATE TABLE IF NOT EXISTS "RelatedQuestions" (
-	"question_id"	INTEGER NOT NULL,
-	"related_id"	INTEGER NOT NULL,
-	UNIQUE("question_id","related_id"),
-	PRIMARY KEY("question_id","related_id"),
-	FOREIGN KEY("question_id") REFERENCES "Questions"("id") ON DELETE CASCADE ON UPDATE CASCADE,
-	FOREIGN KEY("related_id") REFERENCES "Questions"("id") ON DELETE CASCADE ON UPDATE CASCADE
-);
-CREATE TABLE IF NOT EXISTS "Tags" (
-	"id"	INTEGER,
-	"name"	VARCHAR(255) NOT NULL UNIQUE,
-	"question_number"	INTEGER DEFAULT 0,
-	PRIMARY KEY("id")
-);
-CREATE TABLE IF NOT EXISTS "Users" (
-	"id"	INTEGER,
-	"name"	VARCHAR(255) NOT NULL UNIQUE,
-	"email"	VARCHAR(255) NOT NULL UNIQUE,
-	"password"	VARCHAR(255) NOT NULL,
-	"score"	INTEGER DEFAULT 0,
-	PRIMARY KEY("id")
-);
-CREATE TABLE IF NOT EXISTS "Users_backup" (
-	"id"	INTEGER,
-	"name"	VARCHAR(255) NOT NULL UNIQUE,
-	"email"	VARCHAR(255) NOT NULL UNIQUE,
-	"password"	VARCHAR(255) NOT NULL,
-	"score"	INTEGER DEFAULT '0',
-	PRIMARY KEY("id")
-);
-COMMIT;
+-- Generated by "npm run migrate:schema"; do not edit.
+CREATE TABLE "AnsweredQuestionUsers" (`question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `user_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `answered_status` TEXT NOT NULL, `response` JSON, `credit` FLOAT, `answered_at` DATETIME, PRIMARY KEY (`question_id`, `user_id`));
+CREATE TABLE `ApiTokens` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `user_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `name` VARCHAR(255) NOT NULL, `scope` TEXT NOT NULL, `token_hash` VARCHAR(255) NOT NULL UNIQUE, `token_prefix` VARCHAR(255) NOT NULL, `expires_at` DATETIME, `last_used_at` DATETIME, `created_at` DATETIME NOT NULL);
+CREATE TABLE `IdempotencyKeys` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `user_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `key` VARCHAR(255) NOT NULL, `request_hash` VARCHAR(255) NOT NULL, `status_code` INTEGER NOT NULL, `response` JSON NOT NULL, `created_at` DATETIME NOT NULL);
+CREATE TABLE `QuestionAttempts` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `user_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `attempt_number` INTEGER NOT NULL, `response` JSON, `is_correct` TINYINT(1) NOT NULL, `credit` FLOAT NOT NULL, `scored` TINYINT(1) NOT NULL, `time_taken_ms` INTEGER, `answered_at` DATETIME);
+CREATE TABLE `QuestionOptions` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `position` INTEGER NOT NULL, `text` TEXT NOT NULL, `is_correct` TINYINT(1) NOT NULL DEFAULT 0);
+CREATE VIRTUAL TABLE QuestionSearch USING fts5(name, question, options, tags, tokenize = 'unicode61 remove_diacritics 2');
+CREATE VIRTUAL TABLE QuestionSearchVocabulary USING fts5vocab(QuestionSearch, 'row');
+CREATE TABLE `QuestionTags` (`question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `tag_id` INTEGER NOT NULL REFERENCES `Tags` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, PRIMARY KEY (`question_id`, `tag_id`));
+CREATE TABLE "Questions" (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `creator_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `name` VARCHAR(255) NOT NULL, `question` TEXT NOT NULL, `type` TEXT NOT NULL DEFAULT 'single_choice', `partial_credit` TINYINT(1) NOT NULL DEFAULT 1, `answer_spec` JSON, `option1` TEXT, `option2` TEXT, `option3` TEXT, `option4` TEXT, `correct_option` INTEGER, `retry_policy` TEXT, `level` TEXT DEFAULT 'easy', `answer_count` INTEGER DEFAULT 0, `correct_answer_count` INTEGER DEFAULT 0, `rating` FLOAT NOT NULL DEFAULT '1500', `rated_count` INTEGER NOT NULL DEFAULT 0, `tag_id` INTEGER REFERENCES `Tags` (`id`));
+CREATE TABLE `QuizAnswers` (`attempt_id` INTEGER NOT NULL REFERENCES `QuizAttempts` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `response` JSON NOT NULL, `is_correct` TINYINT(1), `credit` FLOAT, `answered_at` DATETIME NOT NULL, PRIMARY KEY (`attempt_id`, `question_id`));
+CREATE TABLE `QuizAttempts` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `quiz_id` INTEGER NOT NULL REFERENCES `Quizzes` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `user_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `status` TEXT NOT NULL DEFAULT 'in_progress', `started_at` DATETIME NOT NULL, `expires_at` DATETIME NOT NULL, `finished_at` DATETIME, `correct_count` INTEGER, `score` FLOAT);
+CREATE TABLE `QuizQuestions` (`quiz_id` INTEGER NOT NULL REFERENCES `Quizzes` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `position` INTEGER NOT NULL, PRIMARY KEY (`quiz_id`, `question_id`));
+CREATE TABLE `Quizzes` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `creator_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `title` VARCHAR(255) NOT NULL, `tag_id` INTEGER REFERENCES `Tags` (`id`) ON DELETE SET NULL ON UPDATE CASCADE, `level` TEXT, `time_limit` INTEGER NOT NULL, `created_at` DATETIME NOT NULL);
+CREATE TABLE "RelatedQuestions" (`question_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `related_id` INTEGER NOT NULL REFERENCES `Questions` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, PRIMARY KEY (`question_id`, `related_id`));
+CREATE TABLE `SequelizeMeta` (`name` VARCHAR(255) NOT NULL UNIQUE PRIMARY KEY);
+CREATE TABLE "Tags" (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `name` VARCHAR(255) NOT NULL UNIQUE, `question_number` INTEGER DEFAULT 0, `parent_id` INTEGER REFERENCES `Tags` (`id`) ON DELETE SET NULL ON UPDATE CASCADE, `path` VARCHAR(255));
+CREATE TABLE `UserTokens` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `user_id` INTEGER NOT NULL REFERENCES `Users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE, `purpose` TEXT NOT NULL, `token_hash` VARCHAR(255) NOT NULL UNIQUE, `expires_at` DATETIME NOT NULL, `used_at` DATETIME, `created_at` DATETIME NOT NULL);
+CREATE TABLE "Users" (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `name` VARCHAR(255) NOT NULL UNIQUE, `email` VARCHAR(255) NOT NULL UNIQUE, `password` VARCHAR(255) NOT NULL, `score` FLOAT DEFAULT '0', `rating` FLOAT NOT NULL DEFAULT '1500', `rated_count` INTEGER NOT NULL DEFAULT 0, `role` TEXT NOT NULL DEFAULT 'user', `suspended_at` DATETIME, `suspension_reason` VARCHAR(255), `session_version` INTEGER NOT NULL DEFAULT 0, `language` TEXT, `email_verified_at` DATETIME);
+CREATE UNIQUE INDEX `api_tokens_user_id_name` ON `ApiTokens` (`user_id`, `name`);
+CREATE INDEX `idempotency_keys_created_at` ON `IdempotencyKeys` (`created_at`);
+CREATE UNIQUE INDEX `idempotency_keys_user_id_key` ON `IdempotencyKeys` (`user_id`, `key`);
+CREATE UNIQUE INDEX `question_attempts_question_id_user_id_attempt_number` ON `QuestionAttempts` (`question_id`, `user_id`, `attempt_number`);
+CREATE INDEX `user_tokens_expires_at` ON `UserTokens` (`expires_at`);
+CREATE INDEX `user_tokens_user_id_purpose` ON `UserTokens` (`user_id`, `purpose`);
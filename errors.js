@@ -0,0 +1,155 @@
+const { translate, languageOf } = require('./i18n');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Error:
+ *       type: object
+ *       description: The body of every error response.
+ *       properties:
+ *         error:
+ *           type: string
+ *           description: What went wrong, for people, in the language of the response.
+ *         code:
+ *           type: string
+ *           description: >
+ *             What went wrong, for programs, e.g. validation_failed, not_found or forbidden. Codes
+ *             do not change when the wording of the message does.
+ *           example: validation_failed
+ *         details:
+ *           type: array
+ *           description: For validation errors, the problem with each invalid field.
+ *           items:
+ *             $ref: '#/components/schemas/ErrorDetail'
+ *     ErrorDetail:
+ *       type: object
+ *       properties:
+ *         in:
+ *           type: string
+ *           enum: [body, query, path, header]
+ *         field:
+ *           type: string
+ *           description: Path of the field, e.g. options[0].text; empty for the whole body.
+ *           example: level
+ *         message:
+ *           type: string
+ *           example: 'must be one of: easy, medium, hard'
+ *   responses:
+ *     TooManyRequests:
+ *       description: >
+ *         Too many requests (rate_limited), or, on login, too many failed logins to the account
+ *         (account_locked). Retry-After tells how long to wait.
+ *       headers:
+ *         Retry-After:
+ *           description: Seconds to wait before trying again.
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Error'
+ *               - type: object
+ *                 properties:
+ *                   retry_after:
+ *                     type: integer
+ *                     description: Seconds to wait before trying again, as in Retry-After.
+ */
+
+// The code of errors that do not name a more specific one
+const STATUS_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    422: 'unprocessable_entity',
+    429: 'too_many_requests',
+    500: 'internal_error',
+};
+
+// Lists the problem with each field, e.g. "level must be one of: easy, medium, hard; name is required."
+const describeDetails = (details) => `${details.map((detail) => `${detail.field || detail.in} ${detail.message}`).join('; ')}.`;
+
+/**
+ * An error to send to the client. Thrown in a route, or passed to next, it is sent by errorHandler
+ * as { error, code, details }, with its messages translated to the language of the response.
+ *
+ * @param {number} status - the HTTP status
+ * @param {string|null} message - sent as error, in English; null to list the details instead
+ * @param {object} [options]
+ * @param {string} [options.code] - defaults to the code of the status
+ * @param {{ in: string, field: string, message: string }[]} [options.details]
+ * @param {...*} [options.fields] - any other option is sent as a field of the body, e.g. attempt_id
+ */
+class ApiError extends Error {
+    constructor(status, message, { code, details, ...fields } = {}) {
+        super(message || describeDetails(details));
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || STATUS_CODES[status] || 'error';
+        this.details = details;
+        this.listsDetails = !message;
+        this.fields = fields;
+    }
+
+    // The body of the response, with the messages passed through translate
+    toBody(translate = (message) => message) {
+        const details = this.details && this.details.map((detail) => ({ ...detail, message: translate(detail.message) }));
+        return {
+            error: this.listsDetails ? describeDetails(details) : translate(this.message),
+            code: this.code,
+            ...(details ? { details } : {}),
+            ...this.fields,
+        };
+    }
+
+    toJSON() {
+        return this.toBody();
+    }
+}
+
+// Errors raised by express and body-parser carry the status to send; anything else is a bug
+const toApiError = (error) => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (error.type === 'entity.parse.failed') {
+        return new ApiError(400, 'The request body is not valid JSON.', { code: 'invalid_json' });
+    }
+    if (error.type === 'entity.too.large') {
+        return new ApiError(413, 'The request body is too large.');
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return new ApiError(error.status, error.message);
+    }
+    return null;
+};
+
+// Responds to requests no route matched, with the same body as other errors
+const notFound = (req, res, next) => {
+    next(new ApiError(404, `There is no ${req.method} ${req.baseUrl}${req.path} endpoint.`, { code: 'route_not_found' }));
+};
+
+// Sends every error passed to next, and logs the unexpected ones. Express tells error handlers
+// apart by their four parameters, so next stays even though it is not called.
+const errorHandler = (error, req, res, next) => {
+    let apiError = toApiError(error);
+    if (!apiError) {
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+        apiError = new ApiError(500, 'Internal server error.');
+    }
+
+    if (res.headersSent) {
+        return res.end();
+    }
+    // Errors may be raised before the routes, e.g. for invalid JSON, so req.t may not be set
+    const language = languageOf(req);
+    res.set('Content-Language', language);
+    res.vary('Accept-Language');
+    res.status(apiError.status).json(apiError.toBody((message) => translate(language, message)));
+};
+
+module.exports = { ApiError, notFound, errorHandler };
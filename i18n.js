@@ -0,0 +1,129 @@
+const config = require('./config');
+
+/**
+ * Responses are sent in English or Persian. Messages are written in English in the code, and the
+ * catalog of each other language in locales/ maps them to their translation, gettext-style, so a
+ * message without a translation is sent in English. Messages that contain values, such as
+ * "Question with ID 7 not found.", are matched by catalog entries with placeholders, such as
+ * "Question with ID {id} not found.", whose translation repeats the placeholders.
+ *
+ * Catalogs also hold the labels of stored codes, e.g. of the level "easy", by kind of code.
+ */
+const CATALOGS = {
+    en: require('./locales/en.json'),
+    fa: require('./locales/fa.json'),
+};
+const LANGUAGES = Object.keys(CATALOGS);
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The entries with placeholders of a catalog, the most specific first, so that e.g.
+// "must be >= {limit}" is tried before "must be {type}"
+const compileTemplates = (messages) =>
+    Object.entries(messages)
+        .filter(([message]) => message.search(PLACEHOLDER) !== -1)
+        .map(([message, translation]) => {
+            const names = [...message.matchAll(PLACEHOLDER)].map((match) => match[1]);
+            const pattern = message.split(PLACEHOLDER).map((part, index) => (index % 2 ? '(.+?)' : escapeRegExp(part)));
+            return {
+                regExp: new RegExp(`^${pattern.join('')}$`, 's'),
+                names,
+                translation,
+                specificity: message.replace(PLACEHOLDER, '').length,
+            };
+        })
+        .sort((a, b) => b.specificity - a.specificity);
+
+const templates = Object.fromEntries(
+    Object.entries(CATALOGS).map(([language, catalog]) => [language, compileTemplates(catalog.messages)])
+);
+
+// Fills in the placeholders of a template, leaving those without a value
+const fill = (template, values) =>
+    template.replace(PLACEHOLDER, (placeholder, name) =>
+        values[name] !== undefined ? String(values[name]) : placeholder
+    );
+
+/**
+ * Translates an English message to the language, or returns it as it is if the catalog of the
+ * language has no entry for it. With values, the message is a template such as "Hello {name},",
+ * whose placeholders are filled in once it is translated.
+ */
+const translate = (language, message, values) => {
+    if (values) {
+        return fill(translate(language, message), values);
+    }
+    const catalog = CATALOGS[language];
+    if (!catalog || typeof message !== 'string') {
+        return message;
+    }
+    if (Object.prototype.hasOwnProperty.call(catalog.messages, message)) {
+        return catalog.messages[message];
+    }
+
+    for (const { regExp, names, translation } of templates[language]) {
+        const match = regExp.exec(message);
+        if (match) {
+            return fill(translation, Object.fromEntries(names.map((name, index) => [name, match[index + 1]])));
+        }
+    }
+    return message;
+};
+
+/**
+ * The label of a stored code in the language, e.g. "ساده" for the level "easy" in Persian; null
+ * for null codes, and the code itself if no catalog has a label for it.
+ *
+ * @param {'level'|'answered_status'} kind
+ */
+const labelOf = (language, kind, code) => {
+    if (code === null || code === undefined) {
+        return null;
+    }
+    const labels = (catalog) => (catalog && catalog.labels[kind]) || {};
+    return labels(CATALOGS[language])[code] || labels(CATALOGS.en)[code] || code;
+};
+
+/**
+ * The code a label stands for in any language, or the code itself; undefined if it is neither.
+ * Used to read files written when labels were stored, such as question bank exports.
+ */
+const codeOfLabel = (kind, text) => {
+    const codes = Object.keys(CATALOGS.en.labels[kind]);
+    if (codes.includes(text)) {
+        return text;
+    }
+    return codes.find((code) => LANGUAGES.some((language) => labelOf(language, kind, code) === text));
+};
+
+/**
+ * The language of the response to a request: the preference of the signed-in user, else the best
+ * match of the Accept-Language header, else the configured default.
+ */
+const languageOf = (req) => {
+    if (req.user && req.user.language) {
+        return req.user.language;
+    }
+    return (req.get('Accept-Language') && req.acceptsLanguages(LANGUAGES)) || config.defaultLanguage;
+};
+
+/**
+ * Gives routes req.t(message, values), which translates a message to the language of the response,
+ * and req.label(kind, code), which labels a code. The language is worked out when they are called,
+ * after authentication has loaded the user's preference, and sent as Content-Language.
+ */
+const localize = (req, res, next) => {
+    const language = () => {
+        const current = languageOf(req);
+        res.set('Content-Language', current);
+        return current;
+    };
+    req.t = (message, values) => translate(language(), message, values);
+    req.label = (kind, code) => labelOf(language(), kind, code);
+    res.vary('Accept-Language');
+    next();
+};
+
+module.exports = { LANGUAGES, translate, labelOf, codeOfLabel, languageOf, localize };
@@ -1,11 +1,143 @@
-const authenticateUser = (req, res, next) => {
-    const userId = req.cookies.userId; // Read the userId from cookies
+const { User } = require('./models');
+const { sessionOptions } = require('./session');
+const { hasPermission } = require('./permissions');
+const { ApiError } = require('./errors');
+const { getRateLimitStore } = require('./services/rateLimits');
+const { useApiToken } = require('./services/apiTokens');
+
+const BEARER = /^Bearer\s+(\S+)$/i;
+
+// The methods read-only API tokens may use, which change nothing
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Authenticates a request sent with an API token, as Authorization: Bearer <token>
+const authenticateApiToken = async (req, res, next) => {
+    try {
+        const match = BEARER.exec(req.get('Authorization'));
+        const apiToken = match && (await useApiToken(match[1]));
+        if (!apiToken) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return next(new ApiError(401, 'The API token is invalid or has expired.', { code: 'invalid_token' }));
+        }
+
+        const user = apiToken.User;
+        if (user.suspended_at) {
+            return next(new ApiError(403, 'Your account has been suspended.', { code: 'account_suspended' }));
+        }
+        if (apiToken.scope === 'read' && !SAFE_METHODS.includes(req.method)) {
+            return next(new ApiError(403, 'This API token is read-only.', { code: 'insufficient_scope' }));
+        }
+
+        // hasPermission limits the user to the permissions of the token's scope
+        user.tokenScope = apiToken.scope;
+        req.user = user;
+        req.userId = user.id;
+        req.apiToken = apiToken;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Loads the user of the request into req.user and req.userId, from the session of a logged-in
+ * browser or, for scripts, from the API token in the Authorization header, which is also set as
+ * req.apiToken. Rejects requests that have neither.
+ */
+const authenticateUser = async (req, res, next) => {
+    if (req.get('Authorization') !== undefined) {
+        return authenticateApiToken(req, res, next);
+    }
+
+    const userId = req.session && req.session.userId; // Read the userId from the server-side session
     if (!userId) {
-        return res.status(401).json({ error: 'Unauthorized. Please log in.' });
+        return next(new ApiError(401, 'Unauthorized. Please log in.'));
     }
 
-    req.userId = userId; // Attach the user ID to the request for later use
+    try {
+        // Enforce the absolute session lifetime on top of the idle timeout
+        if (Date.now() - req.session.createdAt > sessionOptions.absoluteTimeout) {
+            return req.session.destroy(() => {
+                next(new ApiError(401, 'Session expired. Please log in again.', { code: 'session_expired' }));
+            });
+        }
+
+        const user = await User.findByPk(userId);
+
+        // Sessions issued before a "log out all devices" carry an outdated version
+        if (!user || user.session_version !== req.session.sessionVersion) {
+            return req.session.destroy(() => {
+                next(new ApiError(401, 'Unauthorized. Please log in.'));
+            });
+        }
+
+        if (user.suspended_at) {
+            return next(new ApiError(403, 'Your account has been suspended.', { code: 'account_suspended' }));
+        }
+
+        req.user = user; // Attach the loaded user to the request for later use
+        req.userId = user.id;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Must run after authenticateUser; allows the request only if the user holds every listed permission
+const authorize = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+        return next(new ApiError(403, 'Forbidden. You do not have permission to perform this action.'));
+    }
+
+    next();
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+/**
+ * The 429 error that rejects requests until resetAt, with the Retry-After header set on the response.
+ *
+ * @param {object} [options]
+ * @param {string} [options.code] - defaults to rate_limited
+ * @param {string} [options.message] - what the limit is; how long to wait is added to it
+ */
+const tooManyRequests = (res, resetAt, { code = 'rate_limited', message = 'Too many requests.' } = {}) => {
+    const seconds = secondsUntil(resetAt);
+    res.set('Retry-After', String(seconds));
+    return new ApiError(429, `${message} Try again in ${seconds} seconds.`, { code, retry_after: seconds });
+};
+
+/**
+ * Allows limit requests per windowMs from each client, and rejects the others with a 429 until the
+ * window ends; see services/rateLimits. Every response tells the client where it stands in the
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ *
+ * @param {string} name - of the limit, which keeps the counts of different limits apart
+ * @param {{ limit: number, windowMs: number }} rate - e.g. config.rateLimits.login
+ * @param {(req) => string|number} [keyOf] - whose requests are counted together: the IP address
+ *   of the client by default, or e.g. req.userId after authenticateUser
+ */
+const rateLimit = (name, { limit, windowMs }, keyOf = (req) => req.ip) => async (req, res, next) => {
+    try {
+        const { count, resetAt } = await getRateLimitStore().increment(`${name}:${keyOf(req)}`, windowMs);
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(0, limit - count)),
+            'RateLimit-Reset': String(secondsUntil(resetAt)),
+        });
+        next(count > limit ? tooManyRequests(res, resetAt) : undefined);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Must run after authenticateUser; rejects requests made with an API token rather than a session
+const requireSession = (req, res, next) => {
+    if (req.apiToken) {
+        return next(new ApiError(403, 'This requires logging in; API tokens cannot be used.', { code: 'session_required' }));
+    }
     next();
 };
 
-module.exports = authenticateUser;
\ No newline at end of file
+module.exports = { authenticateUser, authorize, requireSession, tooManyRequests, rateLimit };
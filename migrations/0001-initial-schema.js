@@ -0,0 +1,88 @@
+// The schema of the first release, as in db/database-schema.sql at the time. Databases created
+// before migrations existed already have these tables, so only the missing ones are created.
+
+const LEVELS = ['متوسط', 'دشوار', 'ساده'];
+
+const tables = (Sequelize) => ({
+    Users: {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: Sequelize.STRING, allowNull: false, unique: true },
+        email: { type: Sequelize.STRING, allowNull: false, unique: true },
+        password: { type: Sequelize.STRING, allowNull: false },
+        score: { type: Sequelize.INTEGER, defaultValue: 0 },
+    },
+    Tags: {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        name: { type: Sequelize.STRING, allowNull: false, unique: true },
+        question_number: { type: Sequelize.INTEGER, defaultValue: 0 },
+    },
+    Questions: {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        creator_id: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+        name: { type: Sequelize.STRING, allowNull: false },
+        question: { type: Sequelize.TEXT, allowNull: false },
+        option1: { type: Sequelize.TEXT, allowNull: false },
+        option2: { type: Sequelize.TEXT, allowNull: false },
+        option3: { type: Sequelize.TEXT, allowNull: false },
+        option4: { type: Sequelize.TEXT, allowNull: false },
+        correct_option: { type: Sequelize.INTEGER, allowNull: false },
+        level: { type: Sequelize.ENUM(...LEVELS), defaultValue: 'ساده' },
+        answer_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+        correct_answer_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+        tag_id: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: { model: 'Tags', key: 'id' },
+            onDelete: 'NO ACTION',
+            onUpdate: 'CASCADE',
+        },
+    },
+    RelatedQuestions: {
+        question_id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            references: { model: 'Questions', key: 'id' },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE',
+        },
+        related_id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            references: { model: 'Questions', key: 'id' },
+            onDelete: 'CASCADE',
+            onUpdate: 'CASCADE',
+        },
+    },
+    // question_id and user_id were each unique, so a user could only ever answer one question;
+    // 0002-current-schema fixes this
+    AnsweredQuestionUsers: {
+        question_id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            unique: true,
+            references: { model: 'Questions', key: 'id' },
+        },
+        user_id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true,
+            unique: true,
+            references: { model: 'Users', key: 'id' },
+        },
+        answered_status: { type: Sequelize.ENUM('صحیح حل شده', 'غلط حل شده'), allowNull: false },
+    },
+});
+
+module.exports = {
+    up: async ({ context: { queryInterface, Sequelize } }) => {
+        for (const [table, attributes] of Object.entries(tables(Sequelize))) {
+            if (!(await queryInterface.tableExists(table))) {
+                await queryInterface.createTable(table, attributes);
+            }
+        }
+    },
+    down: async ({ context: { queryInterface, Sequelize } }) => {
+        for (const table of Object.keys(tables(Sequelize)).reverse()) {
+            await queryInterface.dropTable(table);
+        }
+    },
+};
@@ -0,0 +1,174 @@
+// Before migrations existed, every boot altered the tables to match the models, so databases are
+// in whatever state the release they last ran left them. This brings any of them, from the first
+// release on, to the schema of the release that introduced migrations, keeping their rows:
+//
+// - users gain roles, suspensions, session versions and ratings, and a fractional score
+// - tags form a tree through parent_id and path; existing tags become top-level tags
+// - questions gain types, partial credit, answer specs, retry policies and ratings, and the tables
+//   QuestionOptions and QuestionTags; the old option and tag columns become optional, and the
+//   scripts/migrate-*.js scripts move their values to the new tables
+// - an answer is unique per question and user, rather than per question and per user, and keeps
+//   its response, credit and time
+// - attempts, quizzes and idempotency keys get their tables
+
+const LEVELS = ['متوسط', 'دشوار', 'ساده'];
+const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'short_answer', 'numeric', 'ordering'];
+
+const tables = (Sequelize) => {
+    const reference = (model, onDelete = 'CASCADE') => ({
+        references: { model, key: 'id' },
+        onDelete,
+        onUpdate: 'CASCADE',
+    });
+    const id = { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true };
+
+    return {
+        Users: {
+            id,
+            name: { type: Sequelize.STRING, allowNull: false, unique: true },
+            email: { type: Sequelize.STRING, allowNull: false, unique: true },
+            password: { type: Sequelize.STRING, allowNull: false },
+            score: { type: Sequelize.FLOAT, defaultValue: 0 },
+            rating: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 1500 },
+            rated_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            role: { type: Sequelize.ENUM('user', 'moderator', 'admin'), allowNull: false, defaultValue: 'user' },
+            suspended_at: { type: Sequelize.DATE, allowNull: true },
+            suspension_reason: { type: Sequelize.STRING, allowNull: true },
+            session_version: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        },
+        Tags: {
+            id,
+            name: { type: Sequelize.STRING, allowNull: false, unique: true },
+            question_number: { type: Sequelize.INTEGER, defaultValue: 0 },
+            parent_id: { type: Sequelize.INTEGER, allowNull: true, ...reference('Tags', 'SET NULL') },
+            path: { type: Sequelize.STRING, allowNull: true },
+        },
+        Questions: {
+            id,
+            creator_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Users') },
+            name: { type: Sequelize.STRING, allowNull: false },
+            question: { type: Sequelize.TEXT, allowNull: false },
+            type: { type: Sequelize.ENUM(...QUESTION_TYPES), allowNull: false, defaultValue: 'single_choice' },
+            partial_credit: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+            answer_spec: { type: Sequelize.JSON, allowNull: true },
+            option1: { type: Sequelize.TEXT, allowNull: true },
+            option2: { type: Sequelize.TEXT, allowNull: true },
+            option3: { type: Sequelize.TEXT, allowNull: true },
+            option4: { type: Sequelize.TEXT, allowNull: true },
+            correct_option: { type: Sequelize.INTEGER, allowNull: true },
+            retry_policy: { type: Sequelize.ENUM('single', 'practice'), allowNull: true },
+            level: { type: Sequelize.ENUM(...LEVELS), defaultValue: 'ساده' },
+            answer_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+            correct_answer_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+            rating: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 1500 },
+            rated_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            tag_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'Tags', key: 'id' } },
+        },
+        QuestionTags: {
+            question_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Questions') },
+            tag_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Tags') },
+        },
+        QuestionOptions: {
+            id,
+            question_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Questions') },
+            position: { type: Sequelize.INTEGER, allowNull: false },
+            text: { type: Sequelize.TEXT, allowNull: false },
+            is_correct: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+        },
+        RelatedQuestions: {
+            question_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Questions') },
+            related_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Questions') },
+        },
+        AnsweredQuestionUsers: {
+            question_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Questions') },
+            user_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Users') },
+            answered_status: { type: Sequelize.ENUM('صحیح حل شده', 'غلط حل شده'), allowNull: false },
+            response: { type: Sequelize.JSON, allowNull: true },
+            credit: { type: Sequelize.FLOAT, allowNull: true },
+            answered_at: { type: Sequelize.DATE, allowNull: true },
+        },
+        QuestionAttempts: {
+            id,
+            question_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Questions') },
+            user_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Users') },
+            attempt_number: { type: Sequelize.INTEGER, allowNull: false },
+            response: { type: Sequelize.JSON, allowNull: true },
+            is_correct: { type: Sequelize.BOOLEAN, allowNull: false },
+            credit: { type: Sequelize.FLOAT, allowNull: false },
+            scored: { type: Sequelize.BOOLEAN, allowNull: false },
+            time_taken_ms: { type: Sequelize.INTEGER, allowNull: true },
+            answered_at: { type: Sequelize.DATE, allowNull: true },
+        },
+        Quizzes: {
+            id,
+            creator_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Users') },
+            title: { type: Sequelize.STRING, allowNull: false },
+            tag_id: { type: Sequelize.INTEGER, allowNull: true, ...reference('Tags', 'SET NULL') },
+            level: { type: Sequelize.ENUM(...LEVELS), allowNull: true },
+            time_limit: { type: Sequelize.INTEGER, allowNull: false },
+            created_at: { type: Sequelize.DATE, allowNull: false },
+        },
+        QuizQuestions: {
+            quiz_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Quizzes') },
+            question_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Questions') },
+            position: { type: Sequelize.INTEGER, allowNull: false },
+        },
+        QuizAttempts: {
+            id,
+            quiz_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Quizzes') },
+            user_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Users') },
+            status: {
+                type: Sequelize.ENUM('in_progress', 'submitted', 'expired'),
+                allowNull: false,
+                defaultValue: 'in_progress',
+            },
+            started_at: { type: Sequelize.DATE, allowNull: false },
+            expires_at: { type: Sequelize.DATE, allowNull: false },
+            finished_at: { type: Sequelize.DATE, allowNull: true },
+            correct_count: { type: Sequelize.INTEGER, allowNull: true },
+            score: { type: Sequelize.FLOAT, allowNull: true },
+        },
+        QuizAnswers: {
+            attempt_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('QuizAttempts') },
+            question_id: { type: Sequelize.INTEGER, primaryKey: true, ...reference('Questions') },
+            response: { type: Sequelize.JSON, allowNull: false },
+            is_correct: { type: Sequelize.BOOLEAN, allowNull: true },
+            credit: { type: Sequelize.FLOAT, allowNull: true },
+            answered_at: { type: Sequelize.DATE, allowNull: false },
+        },
+        IdempotencyKeys: {
+            id,
+            user_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Users') },
+            key: { type: Sequelize.STRING, allowNull: false },
+            request_hash: { type: Sequelize.STRING, allowNull: false },
+            status_code: { type: Sequelize.INTEGER, allowNull: false },
+            response: { type: Sequelize.JSON, allowNull: false },
+            created_at: { type: Sequelize.DATE, allowNull: false },
+        },
+    };
+};
+
+const indexes = [
+    ['QuestionAttempts', { unique: true, fields: ['question_id', 'user_id', 'attempt_number'] }],
+    ['IdempotencyKeys', { unique: true, fields: ['user_id', 'key'] }],
+    ['IdempotencyKeys', { fields: ['created_at'] }],
+];
+
+module.exports = {
+    up: async ({ context: { queryInterface, sequelize, Sequelize, defineTable } }) => {
+        for (const [table, attributes] of Object.entries(tables(Sequelize))) {
+            await defineTable(table, attributes);
+        }
+        for (const [table, options] of indexes) {
+            await queryInterface.addIndex(table, options);
+        }
+
+        // Tags created before tags formed a tree are top-level tags
+        await sequelize.query("UPDATE Tags SET path = '/' || id || '/' WHERE path IS NULL");
+    },
+    down: async () => {
+        throw new Error(
+            'The schema of databases created before migrations cannot be restored without losing the data of later releases.'
+        );
+    },
+};
@@ -0,0 +1,67 @@
+// Levels and answer statuses were stored as their Persian labels; they become language-neutral
+// codes, which the API translates for each response. Users gain the language they prefer.
+
+const LEVEL_CODES = { 'ساده': 'easy', 'متوسط': 'medium', 'دشوار': 'hard' };
+const STATUS_CODES = { 'صحیح حل شده': 'correct', 'غلط حل شده': 'incorrect' };
+
+// The Questions table of 0002-current-schema, with the default level of the given version
+const questionsTable = (Sequelize, levels, defaultLevel) => {
+    const reference = (model) => ({ references: { model, key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' });
+    return {
+        id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+        creator_id: { type: Sequelize.INTEGER, allowNull: false, ...reference('Users') },
+        name: { type: Sequelize.STRING, allowNull: false },
+        question: { type: Sequelize.TEXT, allowNull: false },
+        type: {
+            type: Sequelize.ENUM('single_choice', 'multiple_choice', 'true_false', 'short_answer', 'numeric', 'ordering'),
+            allowNull: false,
+            defaultValue: 'single_choice',
+        },
+        partial_credit: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+        answer_spec: { type: Sequelize.JSON, allowNull: true },
+        option1: { type: Sequelize.TEXT, allowNull: true },
+        option2: { type: Sequelize.TEXT, allowNull: true },
+        option3: { type: Sequelize.TEXT, allowNull: true },
+        option4: { type: Sequelize.TEXT, allowNull: true },
+        correct_option: { type: Sequelize.INTEGER, allowNull: true },
+        retry_policy: { type: Sequelize.ENUM('single', 'practice'), allowNull: true },
+        level: { type: Sequelize.ENUM(...levels), defaultValue: defaultLevel },
+        answer_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+        correct_answer_count: { type: Sequelize.INTEGER, defaultValue: 0 },
+        rating: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 1500 },
+        rated_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        tag_id: { type: Sequelize.INTEGER, allowNull: true, references: { model: 'Tags', key: 'id' } },
+    };
+};
+
+// Replaces the values of a column by the mapping, in one statement so values are not mapped twice
+const recode = (sequelize, table, column, mapping) => {
+    const entries = Object.entries(mapping);
+    return sequelize.query(
+        `UPDATE ${table} SET ${column} = CASE ${column} ${entries.map(() => 'WHEN ? THEN ?').join(' ')} ELSE ${column} END`,
+        { replacements: entries.flat() }
+    );
+};
+
+const invert = (mapping) => Object.fromEntries(Object.entries(mapping).map(([label, code]) => [code, label]));
+
+module.exports = {
+    up: async ({ context: { queryInterface, sequelize, Sequelize, defineTable } }) => {
+        // SQLite cannot change the default of a column, so the table is rebuilt
+        await defineTable('Questions', questionsTable(Sequelize, Object.values(LEVEL_CODES), 'easy'));
+        await recode(sequelize, 'Questions', 'level', LEVEL_CODES);
+        await recode(sequelize, 'Quizzes', 'level', LEVEL_CODES);
+        await recode(sequelize, 'AnsweredQuestionUsers', 'answered_status', STATUS_CODES);
+
+        await queryInterface.addColumn('Users', 'language', { type: Sequelize.ENUM('en', 'fa'), allowNull: true });
+    },
+    down: async ({ context: { sequelize, Sequelize, defineTable } }) => {
+        // Unlike removeColumn, which rebuilds the table from its description, this keeps its constraints
+        await sequelize.query('ALTER TABLE Users DROP COLUMN language');
+
+        await recode(sequelize, 'AnsweredQuestionUsers', 'answered_status', invert(STATUS_CODES));
+        await recode(sequelize, 'Quizzes', 'level', invert(LEVEL_CODES));
+        await recode(sequelize, 'Questions', 'level', invert(LEVEL_CODES));
+        await defineTable('Questions', questionsTable(Sequelize, Object.keys(LEVEL_CODES), 'ساده'));
+    },
+};
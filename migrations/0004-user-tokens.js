@@ -0,0 +1,31 @@
+// Users verify their email address, and reset forgotten passwords, through single-use tokens sent
+// to them by email.
+
+module.exports = {
+    up: async ({ context: { queryInterface, Sequelize, defineTable } }) => {
+        await queryInterface.addColumn('Users', 'email_verified_at', { type: Sequelize.DATE, allowNull: true });
+
+        await defineTable('UserTokens', {
+            id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE',
+            },
+            purpose: { type: Sequelize.ENUM('email_verification', 'password_reset'), allowNull: false },
+            token_hash: { type: Sequelize.STRING, allowNull: false, unique: true },
+            expires_at: { type: Sequelize.DATE, allowNull: false },
+            used_at: { type: Sequelize.DATE, allowNull: true },
+            created_at: { type: Sequelize.DATE, allowNull: false },
+        });
+        await queryInterface.addIndex('UserTokens', { fields: ['user_id', 'purpose'] });
+        await queryInterface.addIndex('UserTokens', { fields: ['expires_at'] });
+    },
+    down: async ({ context: { queryInterface, sequelize } }) => {
+        await queryInterface.dropTable('UserTokens');
+        // Unlike removeColumn, which rebuilds the table from its description, this keeps its constraints
+        await sequelize.query('ALTER TABLE Users DROP COLUMN email_verified_at');
+    },
+};
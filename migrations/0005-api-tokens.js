@@ -0,0 +1,27 @@
+// Users create personal API tokens, which scripts send as Authorization: Bearer instead of logging in.
+
+module.exports = {
+    up: async ({ context: { queryInterface, Sequelize, defineTable } }) => {
+        await defineTable('ApiTokens', {
+            id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE',
+            },
+            name: { type: Sequelize.STRING, allowNull: false },
+            scope: { type: Sequelize.ENUM('read', 'author', 'admin'), allowNull: false },
+            token_hash: { type: Sequelize.STRING, allowNull: false, unique: true },
+            token_prefix: { type: Sequelize.STRING, allowNull: false },
+            expires_at: { type: Sequelize.DATE, allowNull: true },
+            last_used_at: { type: Sequelize.DATE, allowNull: true },
+            created_at: { type: Sequelize.DATE, allowNull: false },
+        });
+        await queryInterface.addIndex('ApiTokens', { unique: true, fields: ['user_id', 'name'] });
+    },
+    down: async ({ context: { queryInterface } }) => {
+        await queryInterface.dropTable('ApiTokens');
+    },
+};
@@ -0,0 +1,20 @@
+// The question search index is an FTS5 table with one row per question, whose rowid is the question
+// id, and QuestionSearchVocabulary counts the indexed questions each word appears in. Databases
+// that ran services/search.js before this migration already have both. The index is filled by
+// services/search.js, which rebuilds it whenever it is out of step with the questions.
+
+module.exports = {
+    up: async ({ context: { sequelize } }) => {
+        await sequelize.query(
+            'CREATE VIRTUAL TABLE IF NOT EXISTS QuestionSearch USING fts5(' +
+                "name, question, options, tags, tokenize = 'unicode61 remove_diacritics 2')"
+        );
+        await sequelize.query(
+            "CREATE VIRTUAL TABLE IF NOT EXISTS QuestionSearchVocabulary USING fts5vocab(QuestionSearch, 'row')"
+        );
+    },
+    down: async ({ context: { sequelize } }) => {
+        await sequelize.query('DROP TABLE IF EXISTS QuestionSearchVocabulary');
+        await sequelize.query('DROP TABLE IF EXISTS QuestionSearch');
+    },
+};
@@ -0,0 +1,57 @@
+// Moves the data of questions and answers recorded before the current schema into its tables:
+// - questions with their four options in option1..option4 get QuestionOption rows and become single
+//   choice questions,
+// - single choice responses, once a bare option number, become an array of it, and answers
+//   recorded before credit existed get the credit of their status,
+// - answers recorded before every attempt was kept become the user's first, scored attempt,
+// - questions with a single tag in tag_id are linked to it through QuestionTags.
+// Questions and answers that already have rows in the new tables are left alone. The search index
+// is emptied, so that services/search.js rebuilds it with the moved options and tags.
+
+module.exports = {
+    up: async ({ context: { sequelize } }) => {
+        const legacyQuestions =
+            'SELECT id FROM Questions WHERE option1 IS NOT NULL' +
+            ' AND NOT EXISTS (SELECT 1 FROM QuestionOptions WHERE question_id = Questions.id)';
+        await sequelize.query(`UPDATE Questions SET type = 'single_choice' WHERE id IN (${legacyQuestions})`);
+        await sequelize.query(
+            'INSERT INTO QuestionOptions (question_id, position, text, is_correct) ' +
+                [1, 2, 3, 4]
+                    .map((position) =>
+                        `SELECT id, ${position}, option${position}, correct_option = ${position} FROM Questions` +
+                        ` WHERE id IN (${legacyQuestions})`
+                    )
+                    .join(' UNION ALL ')
+        );
+
+        for (const table of ['AnsweredQuestionUsers', 'QuizAnswers']) {
+            await sequelize.query(
+                `UPDATE ${table} SET response = json_array(CAST(json_extract(response, '$') AS INTEGER))` +
+                    " WHERE response IS NOT NULL AND json_valid(response) AND json_type(response) <> 'array'" +
+                    ` AND question_id IN (SELECT id FROM Questions WHERE type = 'single_choice')`
+            );
+        }
+        await sequelize.query(
+            "UPDATE AnsweredQuestionUsers SET credit = CASE answered_status WHEN 'correct' THEN 1 ELSE 0 END" +
+                ' WHERE credit IS NULL'
+        );
+
+        await sequelize.query(
+            'INSERT INTO QuestionAttempts' +
+                ' (question_id, user_id, attempt_number, response, is_correct, credit, scored, answered_at)' +
+                " SELECT question_id, user_id, 1, response, answered_status = 'correct', credit, 1, answered_at" +
+                ' FROM AnsweredQuestionUsers AS answer WHERE NOT EXISTS (SELECT 1 FROM QuestionAttempts' +
+                ' WHERE question_id = answer.question_id AND user_id = answer.user_id)'
+        );
+
+        await sequelize.query(
+            'INSERT INTO QuestionTags (question_id, tag_id)' +
+                ' SELECT id, tag_id FROM Questions WHERE tag_id IN (SELECT id FROM Tags)' +
+                ' AND NOT EXISTS (SELECT 1 FROM QuestionTags WHERE question_id = Questions.id)'
+        );
+
+        await sequelize.query('DELETE FROM QuestionSearch');
+    },
+    // The old columns are kept, so there is nothing to restore
+    down: async () => {},
+};
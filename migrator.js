@@ -0,0 +1,104 @@
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const sequelize = require('./db');
+
+const queryInterface = sequelize.getQueryInterface();
+
+// Copies the rows of an existing table into a new one with the given columns, the way SQLite
+// recommends changing constraints it cannot alter in place. Columns the old table does not have
+// get their default value. Indexes of the old table are dropped with it.
+const rebuildTable = async (table, attributes) => {
+    const existing = await queryInterface.describeTable(table);
+    const columns = Object.keys(attributes)
+        .filter((column) => existing[column])
+        .map((column) => queryInterface.quoteIdentifier(column))
+        .join(', ');
+
+    const rebuilt = `${table}_rebuilt`;
+    await queryInterface.createTable(rebuilt, attributes);
+    await sequelize.query(
+        `INSERT INTO ${queryInterface.quoteIdentifier(rebuilt)} (${columns})` +
+            ` SELECT ${columns} FROM ${queryInterface.quoteIdentifier(table)}`
+    );
+    await queryInterface.dropTable(table);
+    await queryInterface.renameTable(rebuilt, table);
+};
+
+/**
+ * Creates a table with the given columns, or brings an existing table to exactly these columns
+ * and constraints, keeping its rows.
+ */
+const defineTable = async (table, attributes) => {
+    if (await queryInterface.tableExists(table)) {
+        await rebuildTable(table, attributes);
+    } else {
+        await queryInterface.createTable(table, attributes);
+    }
+};
+
+// Migrations and seeders get the query interface, the Sequelize data types and the helpers above
+const context = { queryInterface, sequelize, Sequelize, defineTable };
+
+// Migrations may rebuild tables, and dropping a table would otherwise delete the rows that
+// reference it; foreign keys are checked again once all migrations have run
+const withoutForeignKeys = (umzug) => {
+    umzug.on('beforeCommand', () => sequelize.query('PRAGMA foreign_keys = OFF'));
+    umzug.on('afterCommand', async () => {
+        const violations = await sequelize.query('PRAGMA foreign_key_check', { type: Sequelize.QueryTypes.SELECT });
+        await sequelize.query('PRAGMA foreign_keys = ON');
+        if (violations.length > 0) {
+            const tables = [...new Set(violations.map((violation) => violation.table))];
+            console.warn(`${violations.length} row(s) reference missing rows, in: ${tables.join(', ')}.`);
+        }
+    });
+    return umzug;
+};
+
+// Reports each migration or seeder once it has run
+const logger = {
+    info: ({ event, name }) => {
+        if (event === 'migrated' || event === 'reverted') {
+            console.log(`${event === 'migrated' ? 'Applied' : 'Reverted'} ${name}`);
+        }
+    },
+    warn: console.warn,
+    error: console.error,
+    debug: () => {},
+};
+
+const createUmzug = (folder, modelName) =>
+    new Umzug({
+        migrations: { glob: ['*.js', { cwd: path.join(__dirname, folder) }] },
+        context,
+        storage: new SequelizeStorage({ sequelize, modelName }),
+        logger,
+    });
+
+// Schema changes, in the order of their file names; applied ones are recorded in SequelizeMeta
+const migrator = withoutForeignKeys(createUmzug('migrations', 'SequelizeMeta'));
+
+// Sample data for development; applied ones are recorded in SequelizeData
+const seeder = createUmzug('seeders', 'SequelizeData');
+
+let migrated = null;
+
+/**
+ * Resolves once the database is connected and every migration has been applied, and rejects
+ * otherwise. The server and scripts wait for it before touching the database.
+ */
+const assertMigrated = () => {
+    migrated = migrated || (async () => {
+        await sequelize.connected;
+        const pending = await migrator.pending();
+        if (pending.length > 0) {
+            throw new Error(
+                `The database has ${pending.length} pending migration(s): ${pending.map((migration) => migration.name).join(', ')}.` +
+                    ' Apply them with "npm run migrate".'
+            );
+        }
+    })();
+    return migrated;
+};
+
+module.exports = { migrator, seeder, assertMigrated };
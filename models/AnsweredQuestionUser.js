@@ -2,7 +2,9 @@ const { DataTypes } = require('sequelize');
 const sequelize = require('../db');
 const Question = require('./Question');
 const User = require('./User');
+const { ANSWER_STATUSES } = require('../services/answerStatuses');
 
+// The result of a user's first, scored attempt at a question; every attempt is kept in QuestionAttempt
 const AnsweredQuestionUser = sequelize.define('AnsweredQuestionUser', {
     question_id: {
         type: DataTypes.INTEGER,
@@ -23,7 +25,23 @@ const AnsweredQuestionUser = sequelize.define('AnsweredQuestionUser', {
     answered_status: {
         type: DataTypes.ENUM,
         allowNull: false,
-        values: ['صحیح حل شده', 'غلط حل شده'],
+        values: ANSWER_STATUSES,
+    },
+    // The option positions the user selected, kept so the question can be re-graded if it is edited
+    response: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    // Points earned, between 0 and 1; below 1 only for partially correct multiple choice answers
+    credit: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+    },
+    // Unknown for answers recorded before answers were timestamped
+    answered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
     },
 }, {
     timestamps: false,
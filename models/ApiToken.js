@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const User = require('./User');
+const { API_TOKEN_SCOPES } = require('../permissions');
+
+// A personal token that scripts use to call the API on behalf of a user; see services/apiTokens
+const ApiToken = sequelize.define('ApiToken', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    scope: {
+        type: DataTypes.ENUM,
+        values: API_TOKEN_SCOPES,
+        allowNull: false,
+    },
+    // Only a hash is stored, so the tokens cannot be read from the database
+    token_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+    },
+    // The start of the token, for users to tell their tokens apart
+    token_prefix: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // null for tokens that do not expire
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['user_id', 'name'] }],
+});
+
+module.exports = ApiToken;
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const User = require('./User');
+
+// The result of a request sent with an Idempotency-Key header, replayed when the request is retried
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // Hash of the method, path and body, to tell a retry from a different request reusing the key
+    request_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    status_code: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    response: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['user_id', 'key'] }, { fields: ['created_at'] }],
+});
+
+module.exports = IdempotencyKey;
@@ -2,6 +2,9 @@ const { DataTypes } = require('sequelize');
 const sequelize = require('../db');
 const User = require('./User');
 const Tag = require('./Tag');
+const { QUESTION_TYPES } = require('../services/grading');
+const { RETRY_POLICIES } = require('../services/retries');
+const { LEVELS, DEFAULT_LEVEL } = require('../services/levels');
 
 const Question = sequelize.define('Question', {
     id: {
@@ -25,30 +28,55 @@ const Question = sequelize.define('Question', {
         type: DataTypes.TEXT,
         allowNull: false,
     },
+    type: {
+        type: DataTypes.ENUM,
+        values: QUESTION_TYPES,
+        allowNull: false,
+        defaultValue: 'single_choice',
+    },
+    // Whether multiple choice and ordering answers earn partial credit; see services/grading
+    partial_credit: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+    // Type-specific answer definition, e.g. accepted answers or a numeric value; see services/grading
+    answer_spec: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    // Deprecated: options are stored as QuestionOption rows. These columns are only kept so
+    // migrations/0007-legacy-question-data.js can move the options of existing questions.
     option1: {
         type: DataTypes.TEXT,
-        allowNull: false,
+        allowNull: true,
     },
     option2: {
         type: DataTypes.TEXT,
-        allowNull: false,
+        allowNull: true,
     },
     option3: {
         type: DataTypes.TEXT,
-        allowNull: false,
+        allowNull: true,
     },
     option4: {
         type: DataTypes.TEXT,
-        allowNull: false,
+        allowNull: true,
     },
     correct_option: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true,
+    },
+    // Whether users may answer again; null uses the default policy, see services/retries
+    retry_policy: {
+        type: DataTypes.ENUM,
+        values: RETRY_POLICIES,
+        allowNull: true,
     },
     level: {
         type: DataTypes.ENUM,
-        values: ['متوسط', 'دشوار', 'ساده'],
-        defaultValue: 'ساده',
+        values: LEVELS,
+        defaultValue: DEFAULT_LEVEL,
     },
     answer_count: {
         type: DataTypes.INTEGER,
@@ -58,9 +86,22 @@ const Question = sequelize.define('Question', {
         type: DataTypes.INTEGER,
         defaultValue: 0,
     },
-    tag_id: {
+    // Difficulty rating, calibrated by the answers of rated users; see services/rating
+    rating: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 1500,
+    },
+    rated_count: {
         type: DataTypes.INTEGER,
         allowNull: false,
+        defaultValue: 0,
+    },
+    // Deprecated: tags are linked through QuestionTag rows. This column is only kept so
+    // migrations/0007-legacy-question-data.js can link existing questions to their tag.
+    tag_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
         references: {
             model: Tag,
             key: 'id',
@@ -68,13 +109,17 @@ const Question = sequelize.define('Question', {
     }
 }, {
     timestamps: false,
+    defaultScope: {
+        attributes: { exclude: ['option1', 'option2', 'option3', 'option4', 'correct_option', 'tag_id'] },
+    },
 });
 
 Question.associate = (models) => {
-    // A question belongs to a tag
-    Question.belongsTo(models.Tag, {
-        foreignKey: 'tag_id', // Foreign key in the Question model
-        as: 'tag', // Optional alias for the relation
+    // A question can have many tags
+    Question.belongsToMany(models.Tag, {
+        through: models.QuestionTag,
+        foreignKey: 'question_id',
+        otherKey: 'tag_id',
     });
 };
 
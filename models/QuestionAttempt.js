@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const Question = require('./Question');
+const User = require('./User');
+
+// Every answer a user submits to a question, including retries; rows are never changed except
+// when the question is re-graded. The first attempt is also summed up in AnsweredQuestionUser.
+const QuestionAttempt = sequelize.define('QuestionAttempt', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    question_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Question,
+            key: 'id',
+        },
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    // 1 for the user's first attempt at the question, 2 for their first retry, and so on
+    attempt_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // The response as graded; null for attempts recorded before responses were stored
+    response: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    is_correct: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+    },
+    credit: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+    },
+    // Whether the attempt counted towards the user's score; only first attempts do
+    scored: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+    },
+    // Time the user took to answer, as reported by the client
+    time_taken_ms: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // Unknown for attempts recorded before answers were timestamped
+    answered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    timestamps: false,
+    // Numbers attempts without gaps or duplicates, even for answers submitted at the same time
+    indexes: [{ unique: true, fields: ['question_id', 'user_id', 'attempt_number'] }],
+});
+
+module.exports = QuestionAttempt;
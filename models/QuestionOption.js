@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const Question = require('./Question');
+
+const QuestionOption = sequelize.define('QuestionOption', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    question_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Question,
+            key: 'id',
+        },
+    },
+    // 1-based position of the option; answers refer to options by position
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    text: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    is_correct: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+}, {
+    timestamps: false,
+});
+
+module.exports = QuestionOption;
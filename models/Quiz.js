@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const User = require('./User');
+const Tag = require('./Tag');
+const { LEVELS } = require('../services/levels');
+
+const Quiz = sequelize.define('Quiz', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    creator_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    // The tag and level the questions were drawn from, if any
+    tag_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: Tag,
+            key: 'id',
+        },
+    },
+    level: {
+        type: DataTypes.ENUM,
+        values: LEVELS,
+        allowNull: true,
+    },
+    // Time limit of an attempt, in seconds
+    time_limit: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    timestamps: false,
+});
+
+module.exports = Quiz;
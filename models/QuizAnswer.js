@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const QuizAttempt = require('./QuizAttempt');
+const Question = require('./Question');
+
+const QuizAnswer = sequelize.define('QuizAnswer', {
+    attempt_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: QuizAttempt,
+            key: 'id',
+        },
+    },
+    question_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Question,
+            key: 'id',
+        },
+    },
+    response: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    // Set when the attempt is graded
+    is_correct: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+    },
+    credit: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+    },
+    answered_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    timestamps: false,
+});
+
+module.exports = QuizAnswer;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const Quiz = require('./Quiz');
+const User = require('./User');
+
+const QuizAttempt = sequelize.define('QuizAttempt', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    quiz_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: Quiz,
+            key: 'id',
+        },
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    // in_progress until the user submits, or expired if the time limit ran out first
+    status: {
+        type: DataTypes.ENUM,
+        values: ['in_progress', 'submitted', 'expired'],
+        allowNull: false,
+        defaultValue: 'in_progress',
+    },
+    started_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    correct_count: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    // Sum of the credit of all answers; only first answers to questions add to the user's score
+    score: {
+        type: DataTypes.FLOAT,
+        allowNull: true,
+    },
+}, {
+    timestamps: false,
+});
+
+module.exports = QuizAttempt;
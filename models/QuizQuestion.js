@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const Quiz = require('./Quiz');
+const Question = require('./Question');
+
+const QuizQuestion = sequelize.define('QuizQuestion', {
+    quiz_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Quiz,
+            key: 'id',
+        },
+    },
+    question_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+            model: Question,
+            key: 'id',
+        },
+    },
+    // 1-based order of the question within the quiz
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+}, {
+    timestamps: false,
+});
+
+module.exports = QuizQuestion;
@@ -15,16 +15,37 @@ const Tag = sequelize.define('Tag', {
     question_number: {
         type: DataTypes.INTEGER,
         defaultValue: 0
-    }
+    },
+    // Null for top-level tags
+    parent_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'Tags',
+            key: 'id',
+        },
+    },
+    // The ids from the root down to the tag itself, e.g. "/1/4/9/". The tags of a subtree are the
+    // tags whose path starts with the path of its root. Set once the tag has an id.
+    path: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
 }, {
     timestamps: false,
 });
 
+Tag.afterCreate(async (tag, { transaction }) => {
+    const parent = tag.parent_id ? await Tag.findByPk(tag.parent_id, { transaction }) : null;
+    await tag.update({ path: `${parent ? parent.path : '/'}${tag.id}/` }, { transaction });
+});
+
 Tag.associate = (models) => {
     // A tag can have many questions
-    Tag.hasMany(models.Question, {
-        foreignKey: 'tag_id', // Foreign key in the Question model
-        as: 'questions', // Optional alias for the relation
+    Tag.belongsToMany(models.Question, {
+        through: models.QuestionTag,
+        foreignKey: 'tag_id',
+        otherKey: 'question_id',
     });
 };
 
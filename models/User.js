@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../db');
+const { ROLES } = require('../permissions');
+const { LANGUAGES } = require('../i18n');
 
 const User = sequelize.define('User', {
     id: {
@@ -22,9 +24,50 @@ const User = sequelize.define('User', {
         allowNull: false,
     },
     score: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0,
+    },
+    // Elo rating from the difficulty of the questions answered; see services/rating
+    rating: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 1500,
+    },
+    rated_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    role: {
+        type: DataTypes.ENUM,
+        values: ROLES,
+        allowNull: false,
+        defaultValue: 'user',
+    },
+    suspended_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    suspension_reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    session_version: {
         type: DataTypes.INTEGER,
+        allowNull: false,
         defaultValue: 0,
     },
+    // Set once the user opens the link of a verification email, or resets their password
+    email_verified_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    // The language of the user's responses; null follows the Accept-Language of each request
+    language: {
+        type: DataTypes.ENUM,
+        values: LANGUAGES,
+        allowNull: true,
+    },
 }, {
     timestamps: false,
 });
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db');
+const User = require('./User');
+
+// A single-use token sent to a user by email, e.g. to reset their password; see services/userTokens
+const UserToken = sequelize.define('UserToken', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: User,
+            key: 'id',
+        },
+    },
+    purpose: {
+        type: DataTypes.ENUM,
+        values: ['email_verification', 'password_reset'],
+        allowNull: false,
+    },
+    // Only a hash is stored, so the tokens cannot be read from the database
+    token_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    timestamps: false,
+    indexes: [{ fields: ['user_id', 'purpose'] }, { fields: ['expires_at'] }],
+});
+
+module.exports = UserToken;
@@ -1,15 +1,31 @@
 const User = require('./User');
 const Question = require('./Question');
 const Tag = require('./Tag');
+const QuestionTag = require('./QuestionTag');
+const QuestionOption = require('./QuestionOption');
 const RelatedQuestion = require('./RelatedQuestion');
 const AnsweredQuestionUser = require('./AnsweredQuestionUser');
+const QuestionAttempt = require('./QuestionAttempt');
+const Quiz = require('./Quiz');
+const QuizQuestion = require('./QuizQuestion');
+const QuizAttempt = require('./QuizAttempt');
+const QuizAnswer = require('./QuizAnswer');
+const IdempotencyKey = require('./IdempotencyKey');
+const UserToken = require('./UserToken');
+const ApiToken = require('./ApiToken');
 
 // Relationships
 User.hasMany(Question, { foreignKey: 'creator_id' });
 Question.belongsTo(User, { foreignKey: 'creator_id' });
 
-Question.belongsTo(Tag, { foreignKey: 'tag_id' });
-Tag.hasMany(Question, { foreignKey: 'tag_id' });
+Tag.belongsTo(Tag, { foreignKey: 'parent_id', as: 'parent' });
+Tag.hasMany(Tag, { foreignKey: 'parent_id', as: 'children' });
+
+Question.belongsToMany(Tag, { through: QuestionTag, foreignKey: 'question_id', otherKey: 'tag_id' });
+Tag.belongsToMany(Question, { through: QuestionTag, foreignKey: 'tag_id', otherKey: 'question_id' });
+
+Question.hasMany(QuestionOption, { foreignKey: 'question_id', as: 'options', onDelete: 'CASCADE' });
+QuestionOption.belongsTo(Question, { foreignKey: 'question_id' });
 
 Question.belongsToMany(Question, {
     through: RelatedQuestion,
@@ -27,4 +43,53 @@ AnsweredQuestionUser.belongsTo(Question, { foreignKey: 'question_id' });
 User.hasMany(AnsweredQuestionUser, { foreignKey: 'user_id' });
 AnsweredQuestionUser.belongsTo(User, { foreignKey: 'user_id' });
 
-module.exports = { User, Question, Tag, RelatedQuestion, AnsweredQuestionUser };
+Question.hasMany(QuestionAttempt, { foreignKey: 'question_id' });
+QuestionAttempt.belongsTo(Question, { foreignKey: 'question_id' });
+
+User.hasMany(QuestionAttempt, { foreignKey: 'user_id' });
+QuestionAttempt.belongsTo(User, { foreignKey: 'user_id' });
+
+User.hasMany(Quiz, { foreignKey: 'creator_id' });
+Quiz.belongsTo(User, { foreignKey: 'creator_id' });
+
+Quiz.belongsTo(Tag, { foreignKey: 'tag_id' });
+
+Quiz.belongsToMany(Question, { through: QuizQuestion, foreignKey: 'quiz_id', otherKey: 'question_id' });
+Question.belongsToMany(Quiz, { through: QuizQuestion, foreignKey: 'question_id', otherKey: 'quiz_id' });
+QuizQuestion.belongsTo(Question, { foreignKey: 'question_id' });
+
+Quiz.hasMany(QuizAttempt, { foreignKey: 'quiz_id' });
+QuizAttempt.belongsTo(Quiz, { foreignKey: 'quiz_id' });
+
+User.hasMany(QuizAttempt, { foreignKey: 'user_id' });
+QuizAttempt.belongsTo(User, { foreignKey: 'user_id' });
+
+QuizAttempt.hasMany(QuizAnswer, { foreignKey: 'attempt_id' });
+QuizAnswer.belongsTo(QuizAttempt, { foreignKey: 'attempt_id' });
+
+QuizAnswer.belongsTo(Question, { foreignKey: 'question_id', onDelete: 'CASCADE' });
+
+User.hasMany(IdempotencyKey, { foreignKey: 'user_id' });
+
+User.hasMany(UserToken, { foreignKey: 'user_id' });
+
+User.hasMany(ApiToken, { foreignKey: 'user_id' });
+ApiToken.belongsTo(User, { foreignKey: 'user_id' });
+
+module.exports = {
+    User,
+    Question,
+    Tag,
+    QuestionTag,
+    QuestionOption,
+    RelatedQuestion,
+    AnsweredQuestionUser,
+    QuestionAttempt,
+    Quiz,
+    QuizQuestion,
+    QuizAttempt,
+    QuizAnswer,
+    IdempotencyKey,
+    UserToken,
+    ApiToken,
+};
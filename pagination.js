@@ -0,0 +1,294 @@
+const { Op } = require('sequelize');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Page:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *       required: false
+ *       description: Page number for offset paging. Ignored when a cursor is given.
+ *     PageSize:
+ *       in: query
+ *       name: pageSize
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *       required: false
+ *       description: Number of items per page.
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       required: false
+ *       description: >
+ *         Opaque cursor from meta.next_cursor or meta.prev_cursor of a previous page. Switches to
+ *         cursor paging, which stays consistent while items are added or removed. The sort must
+ *         be the same as for the page the cursor came from.
+ *   schemas:
+ *     PaginationMeta:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Number of items matching the filters, across all pages.
+ *         page_size:
+ *           type: integer
+ *         page:
+ *           type: integer
+ *           description: Current page, for offset paging only.
+ *         total_pages:
+ *           type: integer
+ *           description: Number of pages, for offset paging only.
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *         prev_cursor:
+ *           type: string
+ *           nullable: true
+ *     PaginationLinks:
+ *       type: object
+ *       properties:
+ *         self:
+ *           type: string
+ *         first:
+ *           type: string
+ *           description: Offset paging only.
+ *         last:
+ *           type: string
+ *           description: Offset paging only.
+ *         next:
+ *           type: string
+ *           nullable: true
+ *         prev:
+ *           type: string
+ *           nullable: true
+ */
+
+const encodeCursor = (sort, values, direction) =>
+    Buffer.from(JSON.stringify({ s: sort, v: values, d: direction })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { s, v, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof s !== 'string' || !Array.isArray(v) || !['next', 'prev'].includes(d)) {
+            return null;
+        }
+        return { sort: s, values: v, direction: d };
+    } catch (error) {
+        return null;
+    }
+};
+
+const parsePositiveInteger = (value, fallback) => {
+    if (value === undefined) {
+        return fallback;
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+};
+
+/**
+ * Parses a sort expression such as "-score,name" (a leading "-" sorts descending) into a
+ * Sequelize order. The bare values "asc" and "desc" set the direction of the default sort field,
+ * as the list endpoints accepted before they could sort by other fields.
+ */
+const parseSort = (sort, sortFields, defaultSort) => {
+    const expression = sort === undefined || sort === '' ? defaultSort : String(sort);
+    const legacyDirection = expression.toLowerCase();
+    if (legacyDirection === 'asc' || legacyDirection === 'desc') {
+        return [[defaultSort.replace(/^-/, ''), legacyDirection.toUpperCase()]];
+    }
+
+    const order = [];
+    for (const term of expression.split(',')) {
+        const field = term.trim().replace(/^-/, '');
+        if (!sortFields.includes(field)) {
+            return null;
+        }
+        if (!order.some(([existing]) => existing === field)) {
+            order.push([field, term.trim().startsWith('-') ? 'DESC' : 'ASC']);
+        }
+    }
+    return order;
+};
+
+// Reads the offset paging parameters, for lists that cannot be paged by cursor
+const parsePage = (query) => {
+    const pageSize = parsePositiveInteger(query.pageSize, DEFAULT_PAGE_SIZE);
+    if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+        return { error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+
+    const page = parsePositiveInteger(query.page, 1);
+    if (!(page >= 1)) {
+        return { error: 'page must be a positive integer.' };
+    }
+
+    return { page, pageSize };
+};
+
+/**
+ * Reads the paging and sorting parameters of a list request.
+ *
+ * @param {object} query - req.query; page, pageSize, cursor and sort are used
+ * @param {{ sortFields: string[], defaultSort: string }} options - sortFields must be non-null
+ *   columns of the listed model
+ * @returns {{ error: string } | { page, pageSize, sort, order, cursor }} order always ends with
+ *   the primary key, so that every item has a unique position
+ */
+const parsePagination = (query, { sortFields, defaultSort }) => {
+    const offset = parsePage(query);
+    if (offset.error) {
+        return offset;
+    }
+    const { page, pageSize } = offset;
+
+    const order = parseSort(query.sort, sortFields, defaultSort);
+    if (!order) {
+        return { error: `Sort field must be one of: ${sortFields.join(', ')}.` };
+    }
+    if (!order.some(([field]) => field === 'id')) {
+        order.push(['id', 'ASC']);
+    }
+    const sort = order.map(([field, direction]) => (direction === 'DESC' ? `-${field}` : field)).join(',');
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(String(query.cursor));
+        if (!cursor) {
+            return { error: 'Invalid cursor.' };
+        }
+        if (cursor.sort !== sort) {
+            return { error: 'The cursor does not match the requested sort.' };
+        }
+        if (cursor.values.length !== order.length) {
+            return { error: 'Invalid cursor.' };
+        }
+    }
+
+    return { page, pageSize, sort, order, cursor };
+};
+
+// Matches the rows that come after `values` in the given order
+const afterCursor = (order, values) => ({
+    [Op.or]: order.map(([field, direction], index) => {
+        const condition = {};
+        order.slice(0, index).forEach(([previousField], previousIndex) => {
+            condition[previousField] = values[previousIndex];
+        });
+        condition[field] = { [direction === 'ASC' ? Op.gt : Op.lt]: values[index] };
+        return condition;
+    }),
+});
+
+const reverseOrder = (order) => order.map(([field, direction]) => [field, direction === 'ASC' ? 'DESC' : 'ASC']);
+
+// The URL of the current request with some query parameters replaced; null values remove a parameter
+const linkTo = (req, params) => {
+    const query = new URLSearchParams();
+    Object.entries({ ...req.query, ...params }).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+            query.set(key, value);
+        }
+    });
+    const path = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+    return query.size > 0 ? `${path}?${query}` : path;
+};
+
+/**
+ * The meta and links of an offset page.
+ *
+ * @param {Request} req - the list request, used to build the links
+ * @param {{ page: number, pageSize: number }} pagination - the result of parsePage or parsePagination
+ * @param {number} total - the number of items across all pages
+ * @returns {{ meta: object, links: object }}
+ */
+const offsetPage = (req, { page, pageSize }, total) => {
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    return {
+        meta: { total, page_size: pageSize, page, total_pages: totalPages },
+        links: {
+            self: linkTo(req, {}),
+            first: linkTo(req, { page: 1 }),
+            last: linkTo(req, { page: totalPages }),
+            next: page < totalPages ? linkTo(req, { page: page + 1 }) : null,
+            prev: page > 1 ? linkTo(req, { page: page - 1 }) : null,
+        },
+    };
+};
+
+/**
+ * Fetches one page of a model, with offset or cursor paging as requested.
+ *
+ * @param {Model} model - the Sequelize model to list
+ * @param {object} pagination - the result of parsePagination
+ * @param {object} findOptions - where, include and attributes as for findAll; order, limit and
+ *   offset are set here
+ * @param {Request} req - the list request, used to build the links
+ * @returns {Promise<{ rows: Model[], meta: object, links: object }>}
+ */
+const paginate = async (model, pagination, findOptions, req) => {
+    const { page, pageSize, sort, order, cursor } = pagination;
+    const where = findOptions.where || {};
+
+    const total = await model.count({ where, include: findOptions.include, distinct: true, col: 'id' });
+
+    let rows;
+    let hasNext;
+    let hasPrev;
+    if (cursor) {
+        // Walking backwards reads the previous rows in reverse, then puts them back in order
+        const backwards = cursor.direction === 'prev';
+        const queryOrder = backwards ? reverseOrder(order) : order;
+        rows = await model.findAll({
+            ...findOptions,
+            where: { [Op.and]: [where, afterCursor(queryOrder, cursor.values)] },
+            order: queryOrder,
+            limit: pageSize + 1,
+        });
+
+        const hasMore = rows.length > pageSize;
+        rows = rows.slice(0, pageSize);
+        if (backwards) {
+            rows.reverse();
+        }
+        hasNext = backwards || hasMore;
+        hasPrev = !backwards || hasMore;
+    } else {
+        rows = await model.findAll({ ...findOptions, where, order, limit: pageSize, offset: (page - 1) * pageSize });
+        hasNext = page * pageSize < total;
+        hasPrev = page > 1;
+    }
+
+    const cursorOf = (row, direction) => encodeCursor(sort, order.map(([field]) => row.get(field)), direction);
+    const nextCursor = hasNext && rows.length > 0 ? cursorOf(rows[rows.length - 1], 'next') : null;
+    const prevCursor = hasPrev && rows.length > 0 ? cursorOf(rows[0], 'prev') : null;
+
+    if (!cursor) {
+        const { meta, links } = offsetPage(req, pagination, total);
+        return { rows, meta: { ...meta, next_cursor: nextCursor, prev_cursor: prevCursor }, links };
+    }
+
+    return {
+        rows,
+        meta: { total, page_size: pageSize, next_cursor: nextCursor, prev_cursor: prevCursor },
+        links: {
+            self: linkTo(req, {}),
+            next: nextCursor && linkTo(req, { page: null, cursor: nextCursor }),
+            prev: prevCursor && linkTo(req, { page: null, cursor: prevCursor }),
+        },
+    };
+};
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, parsePage, parsePagination, offsetPage, paginate };
@@ -0,0 +1,33 @@
+// Roles ordered from least to most privileged
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Permissions granted to each role; every role inherits the permissions of the roles before it
+const ROLE_PERMISSIONS = {
+    user: ['question:create', 'question:answer'],
+    moderator: ['tag:create', 'tag:manage', 'question:moderate'],
+    admin: ['user:manage'],
+};
+
+const permissionsFor = (role) => {
+    const index = ROLES.indexOf(role);
+    return ROLES.slice(0, index + 1).flatMap((r) => ROLE_PERMISSIONS[r]);
+};
+
+/**
+ * Scopes of API tokens, and the role whose permissions a request made with a token of the scope is
+ * limited to; null leaves the user's own. Read-only tokens also cannot make requests that change
+ * anything, see authenticateUser, and admin tokens can only be created by moderators and admins.
+ */
+const API_TOKEN_SCOPE_ROLES = { read: null, author: 'user', admin: null };
+const API_TOKEN_SCOPES = Object.keys(API_TOKEN_SCOPE_ROLES);
+
+// The role of a user, lowered to the role of the scope when they are using an API token
+const effectiveRole = (user) => {
+    const scopeRole = user.tokenScope && API_TOKEN_SCOPE_ROLES[user.tokenScope];
+    return scopeRole && ROLES.indexOf(scopeRole) < ROLES.indexOf(user.role) ? scopeRole : user.role;
+};
+
+const hasPermission = (user, permission) =>
+    Boolean(user) && permissionsFor(effectiveRole(user)).includes(permission);
+
+module.exports = { ROLES, ROLE_PERMISSIONS, API_TOKEN_SCOPES, permissionsFor, hasPermission };
@@ -0,0 +1,310 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const { authenticateUser, authorize } = require('../middleware');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { parsePagination, paginate } = require('../pagination');
+
+const router = express.Router();
+
+// Every admin endpoint requires the user:manage permission
+router.use(authenticateUser, authorize('user:manage'));
+
+const ADMIN_USER_ATTRIBUTES = ['id', 'name', 'email', 'score', 'role', 'suspended_at', 'suspension_reason'];
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users for administration
+ *     description: Retrieve a page of users with their role and suspension status. Requires the admin role.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter users by name or email (partial match).
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *         required: false
+ *         description: Only return users with this role.
+ *       - in: query
+ *         name: suspended
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only return suspended (true) or active (false) users.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -score,name
+ *         required: false
+ *         description: >
+ *           Comma-separated sort fields, each optionally prefixed with "-" for descending order.
+ *           Fields: id, name, email, score, role. Default is id.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of users.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       score:
+ *                         type: integer
+ *                       role:
+ *                         type: string
+ *                       suspended_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       suspension_reason:
+ *                         type: string
+ *                         nullable: true
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *       400:
+ *         description: Invalid paging, sort or filter parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is not an admin.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/users', validateRequest, async (req, res, next) => {
+    try {
+        const { name, role, suspended } = req.query;
+
+        const pagination = parsePagination(req.query, {
+            sortFields: ['id', 'name', 'email', 'score', 'role'],
+            defaultSort: 'id',
+        });
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
+        }
+
+        const where = {};
+        if (name) {
+            where[Op.or] = [
+                { name: { [Op.like]: `%${name}%` } },
+                { email: { [Op.like]: `%${name}%` } },
+            ];
+        }
+        if (role) {
+            where.role = role;
+        }
+        if (suspended !== undefined) {
+            where.suspended_at = suspended ? { [Op.ne]: null } : null;
+        }
+
+        const { rows: users, meta, links } = await paginate(
+            User,
+            pagination,
+            { where, attributes: ADMIN_USER_ATTRIBUTES },
+            req
+        );
+
+        res.status(200).json({ data: users, meta, links });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     description: Assign the user, moderator or admin role to a user. Admins cannot change their own role.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully.
+ *       400:
+ *         description: Invalid role, or the admin tried to change their own role.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is not an admin.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Server error.
+ */
+router.patch('/users/:id/role', validateRequest, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (id === req.userId) {
+            throw new ApiError(400, 'You cannot change your own role.');
+        }
+
+        const user = await User.findByPk(id, { attributes: ADMIN_USER_ATTRIBUTES });
+        if (!user) {
+            throw new ApiError(404, 'User not found.');
+        }
+
+        await user.update({ role });
+
+        res.status(200).json(user);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: Suspend a user account. The user is logged out everywhere and cannot log in until unsuspended.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Posting spam questions.
+ *     responses:
+ *       200:
+ *         description: User suspended successfully.
+ *       400:
+ *         description: The admin tried to suspend themselves.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is not an admin.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/users/:id/suspend', validateRequest, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        if (id === req.userId) {
+            throw new ApiError(400, 'You cannot suspend yourself.');
+        }
+
+        const user = await User.findByPk(id);
+        if (!user) {
+            throw new ApiError(404, 'User not found.');
+        }
+
+        // Bumping the session version also ends every session the user currently has
+        await user.update({
+            suspended_at: new Date(),
+            suspension_reason: reason || null,
+            session_version: user.session_version + 1,
+        });
+
+        const { suspended_at, suspension_reason } = user;
+        res.status(200).json({ id: user.id, suspended_at, suspension_reason });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unsuspend:
+ *   post:
+ *     summary: Lift a user's suspension
+ *     description: Reactivate a suspended user account.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Suspension lifted successfully.
+ *       403:
+ *         description: The user is not an admin.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/users/:id/unsuspend', validateRequest, async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            throw new ApiError(404, 'User not found.');
+        }
+
+        await user.update({ suspended_at: null, suspension_reason: null });
+
+        res.status(200).json({ id: user.id, suspended_at: null, suspension_reason: null });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
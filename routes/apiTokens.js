@@ -0,0 +1,249 @@
+const express = require('express');
+const { UniqueConstraintError } = require('sequelize');
+const { ApiToken } = require('../models');
+const { authenticateUser, requireSession } = require('../middleware');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { createApiToken } = require('../services/apiTokens');
+
+const router = express.Router();
+
+// Tokens expire after this many days, unless they are created with another expiry
+const DEFAULT_EXPIRY_DAYS = 30;
+
+const formatApiToken = (apiToken) => ({
+    id: apiToken.id,
+    name: apiToken.name,
+    scope: apiToken.scope,
+    token_prefix: apiToken.token_prefix,
+    expires_at: apiToken.expires_at,
+    last_used_at: apiToken.last_used_at,
+    created_at: apiToken.created_at,
+});
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     session:
+ *       type: apiKey
+ *       in: cookie
+ *       name: quizpeach.sid
+ *       description: The session cookie set by POST /api/user/login.
+ *     apiToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: A personal API token, created with POST /api/user/tokens.
+ *   schemas:
+ *     ApiToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: Nightly import
+ *         scope:
+ *           type: string
+ *           enum: [read, author, admin]
+ *           description: >
+ *             What the token may do. read makes requests that change nothing, with the permissions
+ *             of the user; author makes any request, with the permissions of a regular user; admin
+ *             makes any request, with the permissions of the user, and is only for moderators and
+ *             admins.
+ *         token_prefix:
+ *           type: string
+ *           description: The start of the token, to tell tokens apart.
+ *           example: qp_3fZ81xQa
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the token stops working; null if it does not expire.
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a request was last made with the token, to the minute.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/user/tokens:
+ *   get:
+ *     summary: List the logged-in user's API tokens
+ *     description: Lists the API tokens of the user that have not been revoked, newest first.
+ *     tags:
+ *       - API tokens
+ *     responses:
+ *       200:
+ *         description: The tokens, without their values.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiToken'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: The request was made with an API token rather than a session (session_required).
+ */
+router.get('/', authenticateUser, requireSession, async (req, res, next) => {
+    try {
+        const apiTokens = await ApiToken.findAll({
+            where: { user_id: req.userId },
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+        });
+        res.status(200).json(apiTokens.map(formatApiToken));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/tokens:
+ *   post:
+ *     summary: Create an API token
+ *     description: >
+ *       Creates a personal API token, which scripts and other clients send as
+ *       `Authorization: Bearer <token>` to call the API on behalf of the user, instead of logging
+ *       in. The token is only returned in this response. API tokens can only be managed from a
+ *       logged-in session.
+ *     tags:
+ *       - API tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scope]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 100
+ *                 description: Unique among the user's tokens.
+ *                 example: Nightly import
+ *               scope:
+ *                 type: string
+ *                 enum: [read, author, admin]
+ *               expires_in_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 nullable: true
+ *                 default: 30
+ *                 description: Days until the token expires; null for a token that does not expire.
+ *     responses:
+ *       201:
+ *         description: The token was created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiToken'
+ *                 - type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: The token, which cannot be retrieved again.
+ *       400:
+ *         description: Validation error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: >
+ *           The request was made with an API token (session_required), or a regular user asked for
+ *           the admin scope.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The user already has a token with this name (token_name_taken).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateUser, requireSession, validateRequest, async (req, res, next) => {
+    try {
+        const { name, scope, expires_in_days: expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+        if (!name.trim()) {
+            throw new ApiError(400, 'The name of the token is required.');
+        }
+        if (scope === 'admin' && req.user.role === 'user') {
+            throw new ApiError(403, 'Only moderators and admins can create tokens with the admin scope.');
+        }
+
+        const { apiToken, token } = await createApiToken(req.userId, { name: name.trim(), scope, expiresInDays });
+        res.status(201).json({ ...formatApiToken(apiToken), token });
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            return next(new ApiError(409, 'You already have an API token with this name.', { code: 'token_name_taken' }));
+        }
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/tokens/{id}:
+ *   delete:
+ *     summary: Revoke an API token
+ *     description: Revokes one of the logged-in user's API tokens, which stops working at once.
+ *     tags:
+ *       - API tokens
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The token was revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: API token revoked.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: The request was made with an API token rather than a session (session_required).
+ *       404:
+ *         description: The user has no token with this ID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', authenticateUser, requireSession, validateRequest, async (req, res, next) => {
+    try {
+        const revoked = await ApiToken.destroy({ where: { id: req.params.id, user_id: req.userId } });
+        if (revoked === 0) {
+            throw new ApiError(404, 'API token not found.');
+        }
+
+        res.status(200).json({ message: req.t('API token revoked.') });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
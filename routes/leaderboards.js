@@ -0,0 +1,160 @@
+const express = require('express');
+const { Tag } = require('../models');
+const { authenticateUser } = require('../middleware');
+const { parsePage, offsetPage } = require('../pagination');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { DEFAULT_NEIGHBOURS, fetchLeaderboard } = require('../services/leaderboards');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/leaderboard:
+ *   get:
+ *     summary: Retrieve a page of a leaderboard
+ *     description: >
+ *       Ranks users by the points they earned, of all time or over the last week or month, on all
+ *       questions or on the questions with a tag. The all-time board of all questions holds every
+ *       user; the others only hold users who earned points on them. The current user is returned
+ *       separately, with their rank and the users right above and below them.
+ *     tags:
+ *       - Leaderboards
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [all, week, month]
+ *           default: all
+ *         required: false
+ *         description: Count the points of all answers, or of the answers of the last 7 or 30 days.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only count the points of answers to questions with this tag.
+ *       - in: query
+ *         name: includeDescendants
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Also count the questions with a tag below the given tag.
+ *       - in: query
+ *         name: ranking
+ *         schema:
+ *           type: string
+ *           enum: [competition, dense]
+ *           default: competition
+ *         required: false
+ *         description: >
+ *           How tied users are ranked. Both give them the same rank; competition ranking then skips
+ *           ranks (1, 2, 2, 4) and dense ranking does not (1, 2, 2, 3).
+ *       - in: query
+ *         name: neighbours
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 10
+ *           default: 2
+ *         required: false
+ *         description: Number of users to return above and below the current user.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: A page of the leaderboard.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 current_user:
+ *                   nullable: true
+ *                   description: The current user's standing, or null if they are not on the board.
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/LeaderboardEntry'
+ *                     - type: object
+ *                       properties:
+ *                         above:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LeaderboardEntry'
+ *                         below:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LeaderboardEntry'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaderboardEntry'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *       400:
+ *         description: Invalid parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tag not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error.
+ * components:
+ *   schemas:
+ *     LeaderboardEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         score:
+ *           type: number
+ *         rank:
+ *           type: integer
+ */
+router.get('/', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const {
+            period = 'all',
+            tag: tagName,
+            includeDescendants = false,
+            ranking = 'competition',
+            neighbours = DEFAULT_NEIGHBOURS,
+        } = req.query;
+
+        const pagination = parsePage(req.query);
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
+        }
+
+        let tag = null;
+        if (tagName) {
+            tag = await Tag.findOne({ where: { name: tagName } });
+            if (!tag) {
+                throw new ApiError(404, `Tag "${tagName}" not found.`);
+            }
+        }
+
+        const { page, pageSize } = pagination;
+        const { total, entries, current_user } = await fetchLeaderboard(
+            { period, tag, includeDescendants, ranking },
+            { userId: req.userId, neighbours, limit: pageSize, offset: (page - 1) * pageSize }
+        );
+
+        res.status(200).json({ current_user, data: entries, ...offsetPage(req, pagination, total) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,190 @@
 const express = require('express');
-const { Op, where } = require('sequelize');
-const { Question, RelatedQuestion, Tag, AnsweredQuestionUser, User } = require('../models');
-const authenticateUser = require('../middleware');
+const { Op, Transaction, UniqueConstraintError, where } = require('sequelize');
+const sequelize = require('../db');
+const config = require('../config');
+const {
+    Question,
+    QuestionOption,
+    QuestionAttempt,
+    RelatedQuestion,
+    Tag,
+    AnsweredQuestionUser,
+    User,
+} = require('../models');
+const { authenticateUser, authorize, rateLimit } = require('../middleware');
+const { hasPermission } = require('../permissions');
+const { parsePage, parsePagination, offsetPage, paginate } = require('../pagination');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { indexQuestion, removeQuestion, searchQuestions } = require('../services/search');
+const {
+    parseTagNames,
+    validateTagNames,
+    findTags,
+    createTags,
+    setQuestionTags,
+    taggedQuestionIds,
+} = require('../services/tags');
+const { getGrader, validateDefinition, parseResponse, validateResponse, gradeAnswer } = require('../services/grading');
+const {
+    parseOptions,
+    readResponse,
+    loadOptions,
+    replaceOptions,
+    setRelatedQuestions,
+    createQuestion,
+    formatOptions,
+    answerKey,
+} = require('../services/questions');
+const { calibratedLevel, displayedLevel } = require('../services/rating');
+const { DEFAULT_EXPLORATION, recommendQuestions } = require('../services/recommendations');
+const { findSimilarQuestions } = require('../services/similarity');
+const { retryPolicyOf } = require('../services/retries');
+const { CORRECT_STATUS, INCORRECT_STATUS, UNANSWERED_STATUS } = require('../services/answerStatuses');
+const { FORMATS, detectFormat, questionToRecord } = require('../services/questionBank');
+const { MAX_IMPORT_QUESTIONS, importQuestions } = require('../services/questionBank/importer');
+const { IDEMPOTENCY_HEADER, findStoredResult, storeResult } = require('../services/idempotency');
+const { recordAnswer } = require('../services/answers');
 
 const router = express.Router();
 
+// Default length of the short, unpaged lists of recommended and similar questions
+const DEFAULT_LIST_LIMIT = 10;
+// Largest file accepted by POST /import, in any format
+const IMPORT_BODY_LIMIT = '5mb';
+
+// Only the creator of a question or a moderator may change it
+const canModifyQuestion = (user, question) =>
+    question.creator_id === user.id || hasPermission(user, 'question:moderate');
+
+// Looks up the tags named in a request. Missing tags are an error unless create_tags is set and
+// the user may create tags, in which case they are returned to be created with the question.
+const lookUpTags = async (req, names) => {
+    const { tags, missing } = await findTags(names);
+    if (missing.length > 0 && !req.body.create_tags) {
+        throw new ApiError(404, `Tags not found: ${missing.map((name) => `"${name}"`).join(', ')}.`, {
+            code: 'tags_not_found',
+        });
+    }
+    if (missing.length > 0 && !hasPermission(req.user, 'tag:create')) {
+        throw new ApiError(403, 'You do not have permission to create tags.');
+    }
+    return { tags, missing };
+};
+
+// The tag names of a question loaded with its Tags
+const tagNamesOf = (question) => question.Tags.map((tag) => tag.name);
+
+// The level of a question and the level shown for it, with their labels in the language of the response
+const levelsOf = (req, question) => {
+    const displayed = displayedLevel(question);
+    return {
+        level: question.level,
+        level_label: req.label('level', question.level),
+        displayed_level: displayed,
+        displayed_level_label: req.label('level', displayed),
+    };
+};
+
+// Answers recorded before partial credit existed have no credit and are worth 0 or 1
+const creditOf = (answer) => {
+    if (answer.credit !== null) {
+        return answer.credit;
+    }
+    return answer.answered_status === CORRECT_STATUS ? 1 : 0;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionAttempt:
+ *       type: object
+ *       properties:
+ *         attempt_number:
+ *           type: integer
+ *         response:
+ *           description: The response as graded; null for answers recorded before responses were stored.
+ *           nullable: true
+ *         is_correct:
+ *           type: boolean
+ *         credit:
+ *           type: number
+ *         scored:
+ *           type: boolean
+ *           description: Whether the attempt counted towards the score; only first attempts do.
+ *         time_taken_ms:
+ *           type: integer
+ *           nullable: true
+ *         answered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     QuestionOptionInput:
+ *       type: object
+ *       properties:
+ *         text:
+ *           type: string
+ *         is_correct:
+ *           type: boolean
+ *     QuestionOption:
+ *       type: object
+ *       properties:
+ *         position:
+ *           type: integer
+ *           description: 1-based position of the option; answers refer to options by position.
+ *         text:
+ *           type: string
+ *         is_correct:
+ *           type: boolean
+ *           description: Only included once the user has answered the question, or for its creator and moderators.
+ *     AnswerSpec:
+ *       type: object
+ *       nullable: true
+ *       description: >
+ *         The answer of question types without correct options. Short answer: accepted answers,
+ *         compared ignoring case and extra whitespace unless case_sensitive is set, and/or a
+ *         regular expression the whole answer must match. Numeric: the value and the allowed
+ *         tolerance. Ordering: the option positions in the correct order.
+ *       properties:
+ *         accepted:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Tehran, Teheran]
+ *         pattern:
+ *           type: string
+ *           description: >
+ *             Must not repeat a group that contains a quantifier or alternatives, such as (a+)+ or
+ *             (a|ab)*, use more than one unbounded quantifier (*, + or a bound above 10), such as
+ *             .*.*!, nor use backreferences, since such patterns can take very long to match.
+ *             Answers that take longer than 100 ms to match are graded as incorrect.
+ *         case_sensitive:
+ *           type: boolean
+ *         value:
+ *           type: number
+ *           example: 3.14
+ *         tolerance:
+ *           type: number
+ *           example: 0.01
+ *         order:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [3, 1, 2]
+ */
+
 /**
  * @swagger
  * /api/question:
  *   post:
  *     summary: Add a new question
- *     description: Add a new question to the database.
+ *     description: >
+ *       Add a new question to the database. True/false questions have two options, single and
+ *       multiple choice questions between 2 and 8. Options may also be given the old way, as
+ *       option1..option4 with a correct_option. Short answer and numeric questions have no
+ *       options and keep their answer in answer_spec; ordering questions list their items as
+ *       options and the correct order in answer_spec.
  *     tags:
  *       - Questions
  *     requestBody:
@@ -19,27 +193,59 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [name, question, level]
  *             properties:
  *               name:
  *                 type: string
+ *                 minLength: 1
  *               question:
  *                 type: string
- *               option1:
- *                 type: string
- *               option2:
- *                 type: string
- *               option3:
- *                 type: string
- *               option4:
+ *                 minLength: 1
+ *               type:
  *                 type: string
- *               correct_option:
- *                 type: integer
+ *                 enum: [single_choice, multiple_choice, true_false, short_answer, numeric, ordering]
+ *                 default: single_choice
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestionOptionInput'
+ *               answer_spec:
+ *                 $ref: '#/components/schemas/AnswerSpec'
+ *               partial_credit:
+ *                 type: boolean
+ *                 default: true
+ *                 description: >
+ *                   Multiple choice and ordering only. For multiple choice, each correct option selected
+ *                   earns an equal share of the point and each incorrect option selected cancels one
+ *                   share, never going below zero. For ordering, each item in its correct place earns
+ *                   an equal share.
  *               level:
  *                 type: string
+ *                 enum: [easy, medium, hard]
+ *               retry_policy:
+ *                 type: string
+ *                 enum: [single, practice]
+ *                 nullable: true
+ *                 description: >
+ *                   Whether users may answer again: "single" rejects retries, "practice" records
+ *                   them without changing the score. Defaults to the RETRY_POLICY setting.
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Names of the question's tags, at least one and at most 10.
  *               tag_name:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Name of a single tag; use tags instead.
+ *               create_tags:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create the tags that do not exist yet. Requires the moderator or admin role.
  *               related_ids:
  *                 type: array
+ *                 items:
+ *                   type: integer
  *     responses:
  *       201:
  *         description: Question created successfully.
@@ -48,125 +254,213 @@ const router = express.Router();
  *             schema:
  *               type: object
  *               properties:
+ *                 id:
+ *                   type: integer
  *                 message:
  *                   type: string
-
  *       400:
  *         description: Validation error.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing tags were to be created, but the user may not create tags.
+ *       404:
+ *         description: >
+ *           A tag does not exist and create_tags is not set, or a related question does not exist
+ *           (related_question_not_found, with missing_ids).
  *       500:
  *         description: Server error.
  */
-router.post('/', authenticateUser, async (req, res) => {
+router.post('/', authenticateUser, authorize('question:create'), validateRequest, async (req, res, next) => {
     const {
         name,
         question,
-        option1,
-        option2,
-        option3,
-        option4,
-        correct_option,
+        type = 'single_choice',
+        partial_credit = true,
+        answer_spec,
         level,
-        tag_name,
+        retry_policy = null,
         related_ids,
     } = req.body;
+    const tagNames = parseTagNames(req.body);
 
     const currentUserId = req.userId;
 
     try {
-        // Validate the request body
-        if (
-            !name ||
-            !question ||
-            !option1 ||
-            !option2 ||
-            !option3 ||
-            !option4 ||
-            !correct_option ||
-            !level ||
-            !tag_name
-        ) {
-            return res.status(400).json({ error: 'All required fields must be provided.' });
-        }
-
-        // Validate the correct_option value
-        if (![1, 2, 3, 4].includes(correct_option)) {
-            return res
-                .status(400)
-                .json({ error: 'Correct option must be an integer between 1 and 4.' });
-        }
-
-        const tag = await Tag.findOne({ where: { name: tag_name } });
-        if (!tag) {
-            return res.status(404).json({ error: `Tag with name "${tag_name}" not found.` });
-        }
-
-        // Create the new question
-        const newQuestion = await Question.create({
-            creator_id: currentUserId,
-            name: name,
-            question: question,
-            option1: option1,
-            option2: option2,
-            option3: option3,
-            option4: option4,
-            correct_option: correct_option,
-            level: level,
-            tag_id: tag.id
-        });
+        // Tags may be given as tags or the older tag_name, which the schema cannot require one of
+        const tagsError = validateTagNames(tagNames);
+        if (tagsError) {
+            throw new ApiError(400, tagsError, { code: 'invalid_tags' });
+        }
+
+        const options = parseOptions(req.body, type);
+        const definitionError = validateDefinition(type, { options, answer_spec });
+        if (definitionError) {
+            throw new ApiError(400, definitionError, { code: 'invalid_definition' });
+        }
+
+        const tagLookup = await lookUpTags(req, tagNames);
 
-        await tag.increment('question_number');
+        const newQuestion = await sequelize.transaction(async (transaction) => {
+            const createdTags = await createTags(tagLookup.missing, transaction);
 
-        // Handle related questions if provided
-        if (related_ids && Array.isArray(related_ids)) {
-            const relatedQuestionPromises = related_ids.map((relatedId) =>
-                RelatedQuestion.create({
-                    question_id: newQuestion.id,
-                    related_id: relatedId,
-                })
+            // Create the new question
+            return createQuestion(
+                {
+                    creator_id: currentUserId,
+                    name: name,
+                    question: question,
+                    type: type,
+                    partial_credit: Boolean(partial_credit),
+                    answer_spec: getGrader(type).usesAnswerSpec ? answer_spec : null,
+                    level: level,
+                    retry_policy: retry_policy,
+                },
+                {
+                    options,
+                    tagIds: [...tagLookup.tags, ...createdTags].map((tag) => tag.id),
+                    relatedIds: related_ids || [],
+                },
+                transaction
             );
-            await Promise.all(relatedQuestionPromises);
-        }
+        });
 
         res.status(201).json({
-            message: 'Question created successfully.',
+            id: newQuestion.id,
+            message: req.t('Question created successfully.'),
         });
     } catch (error) {
-        console.error('Error creating question:', error);
-        res.status(500).json({ error: 'Failed to create question.' });
+        next(error);
     }
 });
 
+// Grades an answer and records it, returning the response to send. Runs in the transaction of
+// the request, so the duplicate check and every change it makes succeed or fail together; the
+// errors it throws roll them back.
+const submitAnswer = async (req, transaction) => {
+    const { question_id, time_taken_ms } = req.body;
+    const submitted = readResponse(req.body);
+    const user_id = req.userId;
+
+    if (submitted === undefined) {
+        throw new ApiError(400, 'An answer is required.', {
+            code: 'validation_failed',
+            details: [{ in: 'body', field: 'answer', message: 'is required' }],
+        });
+    }
+
+    // Find the user
+    const user = await User.findByPk(user_id, { transaction });
+    if (!user) {
+        throw new ApiError(404, `User with ID ${user_id} not found.`);
+    }
+
+    // Find the question
+    const question = await Question.findByPk(question_id, { transaction });
+    if (!question) {
+        throw new ApiError(404, `Question with ID ${question_id} not found.`);
+    }
+
+    const questionOptions = await loadOptions(question.id, transaction);
+    const response = parseResponse(question, submitted);
+    const responseError = validateResponse(question, questionOptions, response);
+    if (responseError) {
+        throw new ApiError(400, responseError, { code: 'invalid_answer' });
+    }
+
+    // Only the first answer scores; answering again is rejected unless the question is for practice
+    const { correct: isCorrect, credit, attemptNumber, scored, rating } = await recordAnswer(
+        user_id,
+        question,
+        questionOptions,
+        response,
+        { timeTakenMs: time_taken_ms, rejectRetry: retryPolicyOf(question) !== 'practice' },
+        transaction
+    );
+
+    let message = 'Incorrect answer.';
+    if (isCorrect) {
+        message = 'Correct answer!';
+    } else if (credit > 0) {
+        message = 'Partially correct answer.';
+    }
+
+    return {
+        status: 200,
+        body: {
+            correct: isCorrect,
+            credit: credit,
+            attempt_number: attemptNumber,
+            scored: scored,
+            rating: rating && rating.user_rating,
+            rating_change: rating && rating.rating_change,
+            message: message,
+        },
+    };
+};
+
 /**
  * @swagger
  * /api/question/answer:
  *   post:
  *     summary: Submit an answer for a question
- *     description: Allows a user to answer a question, updates the user's score if the answer is correct, and tracks answered questions.
+ *     description: >
+ *       Allows a user to answer a question, adds the earned credit to the user's score, updates the
+ *       Elo ratings of the user and the question, and tracks answered questions. Every attempt is
+ *       kept. Only the first attempt scores: answering again is rejected, unless the question's
+ *       retry policy is "practice", in which case retries are graded and recorded without changing
+ *       the score or ratings. The answer is recorded in full or not at all, and answers submitted at
+ *       the same time are handled one after the other.
  *     tags:
  *       - Questions
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 255
+ *         required: false
+ *         description: >
+ *           A unique value chosen by the client for this answer. If the request is sent again with
+ *           the same key within 24 hours, the answer is not submitted again; the original response
+ *           is returned, with an Idempotent-Replayed header. Only successful responses are kept.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [question_id]
  *             properties:
- *               user_id:
- *                 type: integer
- *                 description: ID of the user answering the question
  *               question_id:
  *                 type: integer
  *                 description: ID of the question being answered
  *               option:
  *                 type: integer
- *                 description: The selected answer option (1-4)
+ *                 description: Position of the selected option, for single choice and true/false questions
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Positions of all selected options, for multiple choice questions
+ *               answer:
+ *                 description: >
+ *                   The answer for any question type: a text for short answer questions, a number for
+ *                   numeric questions, option positions in the chosen order for ordering questions, or
+ *                   the selected option position(s) for choice questions.
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: number
+ *                   - type: array
+ *                     items:
+ *                       type: integer
+ *               time_taken_ms:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Time the user took to answer, in milliseconds, for the attempt history.
  *     responses:
  *       200:
  *         description: Answer submitted successfully.
@@ -177,97 +471,92 @@ router.post('/', authenticateUser, async (req, res) => {
  *               properties:
  *                 correct:
  *                   type: boolean
+ *                 credit:
+ *                   type: number
+ *                   description: Points earned, between 0 and 1.
+ *                 attempt_number:
+ *                   type: integer
+ *                   description: 1 for the first attempt, 2 for the first retry, and so on.
+ *                 scored:
+ *                   type: boolean
+ *                   description: Whether the attempt counted towards the score; only first attempts do.
+ *                 rating:
+ *                   type: number
+ *                   description: The user's rating after the answer, for scored attempts only.
+ *                 rating_change:
+ *                   type: number
+ *                   description: >
+ *                     How much the answer moved the user's rating; more for a hard question answered
+ *                     correctly or an easy one answered wrongly.
  *                 message:
  *                   type: string
  *       400:
- *         description: Validation error.
+ *         description: Validation error, or the question was already answered and allows no retries.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Question or User not found.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The answer conflicted with one submitted at the same time.
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error.
  */
-router.post('/answer', authenticateUser, async (req, res) => {
-    let { question_id, option } = req.body;
-    const user_id = req.userId;
-
-    try {
-        // Validate request body
-        if (!question_id || !option) {
-            return res.status(400).json({ error: 'user_id, question_id, and option are required.' });
-        }
-        option = parseInt(option)
-        if (![1, 2, 3, 4].includes(option)) {
-            return res.status(400).json({ error: 'Option must be an integer between 1 and 4.' });
-        }
-
-        // Find the user
-        const user = await User.findByPk(user_id);
-        if (!user) {
-            return res.status(404).json({ error: `User with ID ${user_id} not found.` });
-        }
-
-        // Find the question
-        const question = await Question.findByPk(question_id);
-        if (!question) {
-            return res.status(404).json({ error: `Question with ID ${question_id} not found.` });
-        }
+router.post(
+    '/answer',
+    authenticateUser,
+    authorize('question:answer'),
+    rateLimit('answer', config.rateLimits.answer, (req) => req.userId),
+    validateRequest,
+    async (req, res, next) => {
+        const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
 
-        // Check if the answer is correct
-        const isCorrect = question.correct_option === option;
-        const answeredStatus = isCorrect ? 'صحیح حل شده' : 'غلط حل شده';
+        try {
+            // An immediate transaction takes the write lock up front, so concurrent submissions are
+            // checked and recorded one after the other
+            const result = await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+                if (idempotencyKey !== undefined) {
+                    const stored = await findStoredResult(req, idempotencyKey, transaction);
+                    if (stored) {
+                        return stored;
+                    }
+                }
 
-        // Update question statistics
-        await question.increment('answer_count');
-        if (isCorrect) {
-            await question.increment('correct_answer_count');
-        }
-
-        // Check if the question has already been answered by the user
-        const existingRecord = await AnsweredQuestionUser.findOne({
-            where: { user_id, question_id },
-        });
-
-        if (existingRecord) {
-            return res.status(400).json({
-                error: 'This question has already been answered by the user.',
+                const submission = await submitAnswer(req, transaction);
+                // Rejected answers throw, so only successful results are kept and a retry of a
+                // rejected answer is checked again
+                if (idempotencyKey !== undefined) {
+                    await storeResult(req, idempotencyKey, submission, transaction);
+                }
+                return submission;
             });
-        }
-
-        // Record the user's answer
-        await AnsweredQuestionUser.create({
-            user_id: user_id,
-            question_id: question_id,
-            answered_status: answeredStatus,
-        });
 
-        // Update user score if correct
-        if (isCorrect) {
-            await user.increment('score');
+            if (result.replayed) {
+                res.set('Idempotent-Replayed', 'true');
+            }
+            // Results are stored in English, so a replay is sent in the language of the retry
+            res.status(result.status).json({ ...result.body, message: req.t(result.body.message) });
+        } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                return next(
+                    new ApiError(409, 'This answer was submitted at the same time as another one; try again.', {
+                        code: 'concurrent_answer',
+                    })
+                );
+            }
+            next(error);
         }
-
-        res.status(200).json({
-            correct: isCorrect,
-            message: isCorrect ? 'Correct answer!' : 'Incorrect answer.',
-        });
-    } catch (error) {
-        console.error('Error submitting answer:', error);
-        res.status(500).json({ error: 'Failed to submit answer.' });
     }
-});
+);
 
 /**
  * @swagger
@@ -300,47 +589,95 @@ router.post('/answer', authenticateUser, async (req, res) => {
  *                   type: string
  *                 question:
  *                   type: string
- *                 option1:
- *                   type: string
- *                 option2:
+ *                 type:
  *                   type: string
- *                 option3:
+ *                   enum: [single_choice, multiple_choice, true_false, short_answer, numeric, ordering]
+ *                 partial_credit:
+ *                   type: boolean
+ *                 options:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuestionOption'
+ *                 answer_spec:
+ *                   $ref: '#/components/schemas/AnswerSpec'
+ *                 level:
  *                   type: string
- *                 option4:
+ *                   enum: [easy, medium, hard]
+ *                   description: The level the author chose.
+ *                 level_label:
  *                   type: string
- *                 correct_option:
+ *                   description: The level in the language of the response.
+ *                 rating:
+ *                   type: number
+ *                   description: Difficulty rating, calibrated by the answers to the question.
+ *                 rated_count:
  *                   type: integer
- *                 level:
+ *                   description: Number of answers that calibrated the rating.
+ *                 calibrated_level:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The level derived from the rating, once enough answers calibrated it.
+ *                 displayed_level:
  *                   type: string
+ *                   description: The calibrated level if there is one, else the author's level.
+ *                 displayed_level_label:
+ *                   type: string
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *                 answer_count:
  *                   type: integer
  *                 correct_answer_count:
  *                   type: integer
+ *                 retry_policy:
+ *                   type: string
+ *                   enum: [single, practice]
+ *                   description: The question's retry policy, or the default one if it has none.
+ *                 answered:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The current user's scored answer, if they answered the question.
+ *                   properties:
+ *                     answered_status:
+ *                       type: string
+ *                       enum: [correct, incorrect]
+ *                     answered_status_label:
+ *                       type: string
+ *                       description: The status in the language of the response.
+ *                     credit:
+ *                       type: number
+ *                     answered_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                 attempts:
+ *                   type: array
+ *                   description: The current user's attempts at the question, oldest first.
+ *                   items:
+ *                     $ref: '#/components/schemas/QuestionAttempt'
  *       404:
  *         description: Question not found.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error.
  */
-router.get('/:id/details', authenticateUser, async (req, res) => {
+router.get('/:id/details', authenticateUser, validateRequest, async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.userId
 
         // Find the question by ID
         const question = await Question.findByPk(id, {
-            include: [{ model: Tag }] // Assume Tag has been defined in your relationships
+            include: [{ model: Tag, through: { attributes: [] } }]
         });
 
         // If the question doesn't exist, return 404
         if (!question) {
-            return res.status(404).json({ error: 'Question not found.' });
+            throw new ApiError(404, 'Question not found.');
         }
 
         const answered = await AnsweredQuestionUser.findOne({
@@ -350,25 +687,50 @@ router.get('/:id/details', authenticateUser, async (req, res) => {
             },
         });
 
-        
+        // Correct options are only revealed after answering, or to those who may edit the question
+        const options = await loadOptions(question.id);
+        const revealAnswers = Boolean(answered) || canModifyQuestion(req.user, question);
+
+        // The user's own attempts, oldest first
+        const attempts = await QuestionAttempt.findAll({
+            where: { user_id: userId, question_id: question.id },
+            attributes: ['attempt_number', 'response', 'is_correct', 'credit', 'scored', 'time_taken_ms', 'answered_at'],
+            order: [['attempt_number', 'ASC']],
+        });
+
+        const { answer_spec, Tags, ...questionData } = question.dataValues;
         const responseData = {
-            ...question.dataValues, // Spread the question properties
-            answered: answered, // Add answered status (true if exists, false otherwise)
+            ...questionData, // Spread the question properties
+            retry_policy: retryPolicyOf(question),
+            calibrated_level: calibratedLevel(question),
+            ...levelsOf(req, question),
+            tags: tagNamesOf(question),
+            answer_spec: revealAnswers ? answer_spec : undefined,
+            options: formatOptions(options, revealAnswers),
+            // The user's scored answer, if any
+            answered: answered && {
+                ...answered.toJSON(),
+                answered_status_label: req.label('answered_status', answered.answered_status),
+            },
+            attempts: attempts,
         };
 
         // Return the question details
         res.status(200).json(responseData);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch question details.' });
+        next(error);
     }
 });
 
 /**
  * @swagger
- * /api/question/{id}/similar:
+ * /api/question/{id}/similars:
  *   get:
- *     summary: Fetch questions by the same owner as a specific question
- *     description: Returns all questions created by the owner of the question specified by its ID in the URL.
+ *     summary: Fetch the questions most similar to a question
+ *     description: >
+ *       Ranks other questions by similarity to the question: the TF-IDF cosine similarity of their
+ *       name, text and options (weight 0.5), the share of tags they have in common (weight 0.3), and
+ *       whether either is linked to the other as related (weight 0.2).
  *     tags:
  *       - Questions
  *     parameters:
@@ -378,9 +740,18 @@ router.get('/:id/details', authenticateUser, async (req, res) => {
  *         description: ID of the question.
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         required: false
+ *         description: Number of questions to return.
  *     responses:
  *       200:
- *         description: A list of questions by the same owner.
+ *         description: The most similar questions, most similar first.
  *         content:
  *           application/json:
  *             schema:
@@ -388,156 +759,1242 @@ router.get('/:id/details', authenticateUser, async (req, res) => {
  *               items:
  *                 type: object
  *                 properties:
+ *                   id:
+ *                     type: integer
  *                   name:
  *                     type: string
  *                     example: "Sample Question"
- *                   tag:
+ *                   type:
+ *                     type: string
+ *                   level:
  *                     type: string
- *                     example: "Sports"
+ *                     enum: [easy, medium, hard]
+ *                   level_label:
+ *                     type: string
+ *                     description: The level in the language of the response.
+ *                   displayed_level:
+ *                     type: string
+ *                     enum: [easy, medium, hard]
+ *                     description: The calibrated level if there is one, else the author's level.
+ *                   displayed_level_label:
+ *                     type: string
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [Sports]
+ *                   score:
+ *                     type: number
+ *                     description: Similarity between 0 and 1.
+ *                   signals:
+ *                     type: object
+ *                     description: The similarity of each kind, each between 0 and 1.
+ *                     properties:
+ *                       text:
+ *                         type: number
+ *                       tags:
+ *                         type: number
+ *                       related:
+ *                         type: number
+ *       400:
+ *         description: Invalid limit.
  *       404:
  *         description: Question not found.
  *       500:
  *         description: Internal server error.
  */
-router.get('/:id/similars', authenticateUser, async (req, res) => {
+router.get('/:id/similars', authenticateUser, validateRequest, async (req, res, next) => {
     try {
         const { id } = req.params; // ID of the reference question
+        const { limit = DEFAULT_LIST_LIMIT } = req.query;
 
-        // Step 1: Find the question by ID to get its owner
-        const referenceQuestion = await Question.findByPk(id);
-        if (!referenceQuestion) {
-            return res.status(404).json({ message: 'Question not found' });
+        const similar = await findSimilarQuestions(id, { limit });
+        if (!similar) {
+            throw new ApiError(404, 'Question not found.');
         }
 
-        const ownerId = referenceQuestion.creator_id;
-
-        // Step 2: Find all questions by the same owner
-        const questions = await Question.findAll({
-            where: { creator_id: ownerId },
-            include: [{ model: Tag }]
-        });
+        const questions = similar.map(({ question, score, signals }) => ({
+            id: question.id,
+            name: question.name,
+            type: question.type,
+            ...levelsOf(req, question),
+            tags: tagNamesOf(question),
+            score,
+            signals,
+        }));
 
         return res.status(200).json(questions);
     } catch (error) {
-        console.error('Error fetching questions by owner:', error);
-        return res.status(500).json({ message: 'Internal server error' });
+        next(error);
     }
 });
 
+const EDITABLE_FIELDS = [
+    'name',
+    'question',
+    'type',
+    'partial_credit',
+    'options',
+    'option1',
+    'option2',
+    'option3',
+    'option4',
+    'correct_option',
+    'answer_spec',
+    'level',
+    'retry_policy',
+    'tags',
+    'tag_name',
+    'related_ids',
+];
+
+// Re-grades the stored answers of a question after its answer key changed. Answers recorded
+// before responses were stored cannot be re-graded and keep their result.
+const regradeAnswers = async (question, options, transaction) => {
+    const answers = await AnsweredQuestionUser.findAll({
+        where: { question_id: question.id, response: { [Op.ne]: null } },
+        transaction,
+    });
+
+    let regraded = 0;
+    for (const answer of answers) {
+        const { correct, credit } = gradeAnswer(question, options, answer.response);
+        const previousCredit = creditOf(answer);
+        const wasCorrect = answer.answered_status === CORRECT_STATUS;
+        if (correct === wasCorrect && credit === previousCredit) {
+            continue;
+        }
+
+        await answer.update(
+            { answered_status: correct ? CORRECT_STATUS : INCORRECT_STATUS, credit },
+            { transaction }
+        );
+        if (credit !== previousCredit) {
+            await User.increment('score', { by: credit - previousCredit, where: { id: answer.user_id }, transaction });
+        }
+        if (correct !== wasCorrect) {
+            await question.increment('correct_answer_count', { by: correct ? 1 : -1, transaction });
+        }
+        regraded += 1;
+    }
+
+    // Keep the attempt history in line with the new answer key; retries never affect scores
+    const attempts = await QuestionAttempt.findAll({
+        where: { question_id: question.id, response: { [Op.ne]: null } },
+        transaction,
+    });
+    for (const attempt of attempts) {
+        const { correct, credit } = gradeAnswer(question, options, attempt.response);
+        if (correct !== attempt.is_correct || credit !== attempt.credit) {
+            await attempt.update({ is_correct: correct, credit }, { transaction });
+        }
+    }
+
+    return regraded;
+};
+
+// Shared by PUT (full replacement) and PATCH (partial update)
+const updateQuestion = (partial) => async (req, res, next) => {
+    const { id } = req.params;
+    const { answer_policy = 'regrade' } = req.body;
+
+    try {
+        const question = await Question.findByPk(id);
+        if (!question) {
+            throw new ApiError(404, 'Question not found.');
+        }
+
+        if (!canModifyQuestion(req.user, question)) {
+            throw new ApiError(403, 'Only the creator or a moderator can edit this question.');
+        }
+
+        const tagNames = parseTagNames(req.body);
+        const provided = EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined);
+        if (partial && provided.length === 0) {
+            throw new ApiError(400, 'At least one field must be provided.', { code: 'validation_failed' });
+        }
+
+        const { related_ids } = req.body;
+
+        // Tags may be given as tags or the older tag_name, which the schema cannot require one of
+        if (!partial || tagNames !== undefined) {
+            const tagsError = validateTagNames(tagNames);
+            if (tagsError) {
+                throw new ApiError(400, tagsError, { code: 'invalid_tags' });
+            }
+        }
+
+        const type = req.body.type !== undefined ? req.body.type : question.type;
+        const grader = getGrader(type);
+        const currentOptions = await loadOptions(question.id);
+        let options = parseOptions(req.body, type);
+        const answerSpec = req.body.answer_spec !== undefined ? req.body.answer_spec : question.answer_spec;
+
+        if (!grader.usesOptions && !options && currentOptions.length > 0) {
+            options = []; // Changing to a type without options drops the existing ones
+        }
+
+        if (!partial && !options && grader.usesOptions) {
+            throw new ApiError(400, 'Options are required.', { code: 'invalid_definition' });
+        }
+
+        // The existing options and answer_spec must still be valid for a changed type
+        if (options || req.body.answer_spec !== undefined || type !== question.type) {
+            const definitionError = validateDefinition(type, {
+                options: options || currentOptions,
+                answer_spec: answerSpec,
+            });
+            if (definitionError) {
+                throw new ApiError(400, definitionError, { code: 'invalid_definition' });
+            }
+        }
+
+        let tagLookup;
+        if (tagNames !== undefined) {
+            tagLookup = await lookUpTags(req, tagNames);
+        }
+
+        const changes = {};
+        ['name', 'question', 'type', 'level', 'retry_policy']
+            .filter((field) => req.body[field] !== undefined)
+            .forEach((field) => {
+                changes[field] = req.body[field];
+            });
+        if (req.body.partial_credit !== undefined) {
+            changes.partial_credit = Boolean(req.body.partial_credit);
+        }
+        if (req.body.answer_spec !== undefined || type !== question.type) {
+            changes.answer_spec = grader.usesAnswerSpec ? answerSpec : null;
+        }
+
+        const previousAnswerKey = answerKey(question, currentOptions);
+        let regraded = 0;
+
+        await sequelize.transaction(async (transaction) => {
+            // Move the question between tags, keeping the counters of every tag in sync
+            if (tagLookup) {
+                const createdTags = await createTags(tagLookup.missing, transaction);
+                await setQuestionTags(
+                    question.id,
+                    [...tagLookup.tags, ...createdTags].map((tag) => tag.id),
+                    transaction
+                );
+            }
+
+            await question.update(changes, { transaction });
+
+            if (options) {
+                await replaceOptions(question.id, options, transaction);
+            }
+
+            if (related_ids !== undefined) {
+                await setRelatedQuestions(question.id, related_ids, transaction);
+            }
+
+            await indexQuestion(question.id, transaction);
+
+            const newOptions = options || currentOptions;
+            if (answer_policy === 'regrade' && answerKey(question, newOptions) !== previousAnswerKey) {
+                regraded = await regradeAnswers(question, newOptions, transaction);
+            }
+        });
+
+        res.status(200).json({
+            message: req.t('Question updated successfully.'),
+            regraded_answers: regraded,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @swagger
- * /api/question:
- *   get:
- *     summary: Get filtered list of questions
- *     description: Fetch a list of questions with optional filters for level and answered status.
+ * components:
+ *   schemas:
+ *     QuestionUpdate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         question:
+ *           type: string
+ *           minLength: 1
+ *         type:
+ *           type: string
+ *           enum: [single_choice, multiple_choice, true_false, short_answer, numeric, ordering]
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuestionOptionInput'
+ *         answer_spec:
+ *           $ref: '#/components/schemas/AnswerSpec'
+ *         partial_credit:
+ *           type: boolean
+ *         level:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         retry_policy:
+ *           type: string
+ *           enum: [single, practice]
+ *           nullable: true
+ *           description: Whether users may answer again; null uses the RETRY_POLICY setting.
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Names of the question's tags, replacing its current tags.
+ *         tag_name:
+ *           type: string
+ *           deprecated: true
+ *           description: Name of a single tag; use tags instead.
+ *         create_tags:
+ *           type: boolean
+ *           default: false
+ *           description: Create the tags that do not exist yet. Requires the moderator or admin role.
+ *         related_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         answer_policy:
+ *           type: string
+ *           enum: [regrade, freeze]
+ *           default: regrade
+ *           description: >
+ *             What happens to existing answers when the correct options or answer_spec, the type or the partial
+ *             credit setting change. "regrade" re-grades every stored answer and adjusts user
+ *             scores and the correct answer count; "freeze" keeps existing results as they are.
+ *             Answers recorded before responses were stored are always kept as they are.
+ *     QuestionUpdateResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         regraded_answers:
+ *           type: integer
+ *           description: Number of answers whose result changed.
+ */
+
+/**
+ * @swagger
+ * /api/question/{id}:
+ *   put:
+ *     summary: Replace a question
+ *     description: Replace all editable fields of a question. Only the creator or a moderator can edit a question.
  *     tags:
  *       - Questions
  *     parameters:
- *       - in: query
- *         name: level
- *         required: false
- *         schema:
- *           type: string
- *           enum: [متوسط, دشوار, ساده]
- *         description: The difficulty level of the question.
- *       - in: query
- *         name: answeredStatus
- *         required: false
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
- *           type: string
- *           enum: [صحیح حل شده, غلط حل شده, حل نشده]
- *         description: The answered status of the question for a specific user.
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuestionUpdate'
+ *               - type: object
+ *                 required: [name, question, level]
  *     responses:
  *       200:
- *         description: List of filtered questions.
+ *         description: Question updated successfully.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   creator_id:
- *                     type: integer
- *                   name:
- *                     type: string
- *                   question:
- *                     type: string
- *                   option1:
- *                     type: string
- *                   option2:
- *                     type: string
- *                   option3:
- *                     type: string
- *                   option4:
- *                     type: string
- *                   correct_option:
- *                     type: integer
- *                   level:
- *                     type: string
- *                   answer_count:
- *                     type: integer
- *                   correct_answer_count:
- *                     type: integer
+ *               $ref: '#/components/schemas/QuestionUpdateResult'
  *       400:
- *         description: Invalid parameters.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *         description: Validation error.
+ *       403:
+ *         description: >
+ *           The user is neither the creator nor a moderator, or missing tags were to be created
+ *           but the user may not create tags.
+ *       404:
+ *         description: The question, a tag or a related question (related_question_not_found) was not found.
  *       500:
  *         description: Server error.
- */
-router.get('/', authenticateUser, async (req, res) => {
-    try {
-        const { name, level, answeredStatus } = req.query;
-
-        // Build the filter criteria
-        let filters = {};
-
-        if (name) {
-            filters.name = {
-                [Op.like]: `%${name}%`, // Partial match for the name
-            };
+ *   patch:
+ *     summary: Update a question
+ *     description: Update some fields of a question. Only the creator or a moderator can edit a question.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionUpdate'
+ *     responses:
+ *       200:
+ *         description: Question updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuestionUpdateResult'
+ *       400:
+ *         description: Validation error.
+ *       403:
+ *         description: >
+ *           The user is neither the creator nor a moderator, or missing tags were to be created
+ *           but the user may not create tags.
+ *       404:
+ *         description: The question, a tag or a related question (related_question_not_found) was not found.
+ *       500:
+ *         description: Server error.
+ */
+router.put('/:id', authenticateUser, validateRequest, updateQuestion(false));
+router.patch('/:id', authenticateUser, validateRequest, updateQuestion(true));
+
+/**
+ * @swagger
+ * /api/question/{id}:
+ *   delete:
+ *     summary: Delete a question
+ *     description: >
+ *       Delete a question together with its related-question links and recorded answers.
+ *       Points users earned by answering it correctly are revoked. Only the creator or a
+ *       moderator can delete a question.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       403:
+ *         description: The user is neither the creator nor a moderator.
+ *       404:
+ *         description: Question not found.
+ *       500:
+ *         description: Server error.
+ */
+router.delete('/:id', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const question = await Question.findByPk(req.params.id);
+        if (!question) {
+            throw new ApiError(404, 'Question not found.');
+        }
+
+        if (!canModifyQuestion(req.user, question)) {
+            throw new ApiError(403, 'Only the creator or a moderator can delete this question.');
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            // Revoke the points awarded for answers to this question
+            const answers = await AnsweredQuestionUser.findAll({
+                where: { question_id: question.id },
+                transaction,
+            });
+            for (const answer of answers) {
+                const credit = creditOf(answer);
+                if (credit > 0) {
+                    await User.decrement('score', { by: credit, where: { id: answer.user_id }, transaction });
+                }
+            }
+
+            await AnsweredQuestionUser.destroy({ where: { question_id: question.id }, transaction });
+            await QuestionAttempt.destroy({ where: { question_id: question.id }, transaction });
+            await RelatedQuestion.destroy({
+                where: {
+                    [Op.or]: [{ question_id: question.id }, { related_id: question.id }],
+                },
+                transaction,
+            });
+            await setQuestionTags(question.id, [], transaction);
+            await QuestionOption.destroy({ where: { question_id: question.id }, transaction });
+            await question.destroy({ transaction });
+            await removeQuestion(question.id, transaction);
+        });
+
+        res.status(200).json({ message: req.t('Question deleted successfully.') });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/question/search:
+ *   get:
+ *     summary: Search questions
+ *     description: >
+ *       Full-text search over the name, text, options and tag of questions, best matches first.
+ *       Every word of the query must appear, as a whole word or the start of one. Persian text is
+ *       matched regardless of Arabic or Persian ye and kaf, diacritics and zero-width non-joiners.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search terms.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: A page of matching questions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       level:
+ *                         type: string
+ *                         enum: [easy, medium, hard]
+ *                       level_label:
+ *                         type: string
+ *                         description: The level in the language of the response.
+ *                       displayed_level:
+ *                         type: string
+ *                         enum: [easy, medium, hard]
+ *                         description: The calibrated level if there is one, else the author's level.
+ *                       displayed_level_label:
+ *                         type: string
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       score:
+ *                         type: number
+ *                         description: Relevance of the match; higher is better.
+ *                       highlights:
+ *                         type: object
+ *                         description: >
+ *                           HTML-escaped snippets of the normalized text with the matching words
+ *                           wrapped in <mark> elements.
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           question:
+ *                             type: string
+ *                           options:
+ *                             type: string
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *       400:
+ *         description: Missing query or invalid paging parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error.
+ */
+router.get('/search', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const { q } = req.query;
+        if (!q.trim()) {
+            throw new ApiError(400, 'A search query (q) is required.', { code: 'validation_failed' });
+        }
+
+        const pagination = parsePage(req.query);
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
         }
 
+        const { page, pageSize } = pagination;
+        const { total, results } = await searchQuestions(q, { limit: pageSize, offset: (page - 1) * pageSize });
+
+        const questions = await Question.findAll({
+            where: { id: results.map((result) => result.id) },
+            include: [{ model: Tag, through: { attributes: [] } }],
+        });
+        const questionsById = new Map(questions.map((question) => [question.id, question]));
+
+        // Keep the relevance order of the search results
+        const data = results
+            .filter((result) => questionsById.has(result.id))
+            .map((result) => {
+                const question = questionsById.get(result.id);
+                return {
+                    id: question.id,
+                    name: question.name,
+                    type: question.type,
+                    ...levelsOf(req, question),
+                    tags: tagNamesOf(question),
+                    score: result.score,
+                    highlights: result.highlights,
+                };
+            });
+
+        res.status(200).json({ data, ...offsetPage(req, pagination, total) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/question/recommended:
+ *   get:
+ *     summary: Recommend questions to answer next
+ *     description: >
+ *       Picks questions the current user has not answered yet. Most are chosen so that the share of
+ *       users who answered them correctly, estimated from their level until they have answers, is
+ *       close to the user's accuracy in their tags. The exploration share goes to questions in tags
+ *       the user has not answered questions of yet.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         required: false
+ *         description: Number of questions to recommend.
+ *       - in: query
+ *         name: exploration
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.2
+ *         required: false
+ *         description: Share of the questions reserved for tags new to the user.
+ *     responses:
+ *       200:
+ *         description: Recommended questions, best matches first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       level:
+ *                         type: string
+ *                         enum: [easy, medium, hard]
+ *                       level_label:
+ *                         type: string
+ *                         description: The level in the language of the response.
+ *                       displayed_level:
+ *                         type: string
+ *                         enum: [easy, medium, hard]
+ *                         description: The calibrated level if there is one, else the author's level.
+ *                       displayed_level_label:
+ *                         type: string
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       reason:
+ *                         type: string
+ *                         enum: [skill_match, new_tag]
+ *                         description: >
+ *                           skill_match if the user has answered questions in one of its tags,
+ *                           new_tag if all its tags are new to the user.
+ *                       expected_accuracy:
+ *                         type: number
+ *                         description: The user's accuracy in the question's tags, between 0 and 1.
+ *                       success_rate:
+ *                         type: number
+ *                         description: Estimated share of users who answer the question correctly.
+ *       400:
+ *         description: Invalid limit or exploration.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error.
+ */
+router.get('/recommended', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const { limit = DEFAULT_LIST_LIMIT, exploration = DEFAULT_EXPLORATION } = req.query;
+        const recommendations = await recommendQuestions(req.userId, { limit, exploration });
+
+        const data = recommendations.map(({ question, ...recommendation }) => ({
+            id: question.id,
+            name: question.name,
+            type: question.type,
+            ...levelsOf(req, question),
+            tags: tagNamesOf(question),
+            ...recommendation,
+        }));
+
+        res.status(200).json({ data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/question/import:
+ *   post:
+ *     summary: Import questions from a JSON, CSV or GIFT file
+ *     description: >
+ *       Reads questions from the request body, sent as the raw file, and creates the valid ones in a
+ *       single transaction. Rows with errors are reported and left out, as are duplicates: questions
+ *       of the same type and text as an existing question or an earlier row. JSON files hold an
+ *       array of questions with the fields of POST /api/question, or an object with a questions
+ *       array. CSV files have a header row and the columns name, question, type, level, tags
+ *       (separated by "|"), option1 to option8, correct (positions separated by commas),
+ *       answer_spec (JSON), partial_credit and retry_policy. GIFT files are read as Moodle writes
+ *       them; tags come from $CATEGORY, and matching and essay questions are rejected.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *         required: false
+ *         description: Format of the file; by default, taken from the Content-Type (application/json or text/csv).
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Only validate the file and report what would be imported.
+ *       - in: query
+ *         name: createTags
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Create the tags that do not exist, rather than rejecting the rows that name them. Requires the tag:create permission.
+ *       - in: query
+ *         name: onDuplicate
+ *         schema:
+ *           type: string
+ *           enum: [skip, import]
+ *           default: skip
+ *         required: false
+ *         description: Whether duplicates are left out or imported anyway; they are reported either way.
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         required: false
+ *         description: Level of the questions that do not have one.
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Comma-separated tags of the questions that do not have any.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             description: >
+ *               The questions, or an object with a questions array. Questions that are not valid
+ *               are reported in the errors of the report rather than rejecting the file.
+ *             oneOf:
+ *               - type: array
+ *               - type: object
+ *                 required: [questions]
+ *                 properties:
+ *                   questions:
+ *                     type: array
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: The report of a dry run; nothing was created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: The questions were imported.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Invalid parameters, or a file that cannot be read.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user may not create questions, or tags with createTags.
+ *       500:
+ *         description: Server error.
+ * components:
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dry_run:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *           description: Number of questions in the file.
+ *         imported:
+ *           type: integer
+ *           description: Number of questions imported, or that would be in a dry run.
+ *         created_tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Tags created for the imported questions, or that would be in a dry run.
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: The row of a CSV file, the line of a GIFT question, or the 1-based index of a JSON question.
+ *               error:
+ *                 type: string
+ *         duplicates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               existing_id:
+ *                 type: integer
+ *                 description: The existing question it duplicates.
+ *               duplicate_of_row:
+ *                 type: integer
+ *                 description: The earlier row it duplicates.
+ *         questions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *               id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: The id of the created question; null in a dry run.
+ */
+router.post(
+    '/import',
+    authenticateUser,
+    authorize('question:create'),
+    // The global JSON parser skips this route, whose files may be larger
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    express.text({ type: () => true, limit: IMPORT_BODY_LIMIT }),
+    validateRequest,
+    async (req, res, next) => {
+        try {
+            const { dryRun = false, createTags: createMissingTags = false, onDuplicate = 'skip', level, tags } = req.query;
+
+            const format = detectFormat(req.query.format, req.get('Content-Type'));
+            if (!format) {
+                throw new ApiError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}.`, { code: 'unknown_format' });
+            }
+            if (createMissingTags && !hasPermission(req.user, 'tag:create')) {
+                throw new ApiError(403, 'You do not have permission to create tags.');
+            }
+
+            // JSON sent as application/json has already been parsed by express.json
+            const body = typeof req.body === 'string' || format === 'json' ? req.body : undefined;
+            if (body === undefined || body === '') {
+                throw new ApiError(400, 'The file is empty.', { code: 'empty_file' });
+            }
+
+            const parsed = FORMATS[format].parse(body);
+            if (parsed.error) {
+                throw new ApiError(400, parsed.error, { code: 'invalid_file' });
+            }
+            if (parsed.rows.length > MAX_IMPORT_QUESTIONS) {
+                throw new ApiError(400, `A file can hold at most ${MAX_IMPORT_QUESTIONS} questions.`, { code: 'too_many_questions' });
+            }
+
+            const report = await importQuestions(parsed.rows, {
+                userId: req.userId,
+                dryRun,
+                createTags: createMissingTags,
+                onDuplicate,
+                defaults: {
+                    level,
+                    tags: String(tags || '').split(',').map((tag) => tag.trim()).filter(Boolean),
+                },
+            });
+
+            res.status(report.dry_run ? 200 : 201).json({
+                ...report,
+                errors: report.errors.map((rowError) => ({ ...rowError, error: req.t(rowError.error) })),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/question/export:
+ *   get:
+ *     summary: Export questions as a JSON, CSV or GIFT file
+ *     description: >
+ *       Exports questions with their answers, in the formats accepted by POST /api/question/import.
+ *       Moderators may export any questions; other users only the questions they created. GIFT has
+ *       no ordering questions, nor short answers with a pattern or case sensitivity; those are left
+ *       out, and listed in comments at the top of the file.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           default: json
+ *         required: false
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Comma-separated tag names; only export questions with these tags.
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         required: false
+ *         description: Whether questions need any one of the given tags, or all of them.
+ *       - in: query
+ *         name: includeDescendants
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Count a question as having a tag if it has that tag or any tag below it.
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         required: false
+ *       - in: query
+ *         name: creator_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Only export the questions of this user; defaults to the current user for non-moderators.
+ *     responses:
+ *       200:
+ *         description: The file, as an attachment.
+ *         headers:
+ *           X-Skipped-Questions:
+ *             schema:
+ *               type: integer
+ *             description: Number of questions the format cannot hold, which were left out.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user may only export their own questions.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/export', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const { format = 'json', tags, tagMatch = 'any', includeDescendants = false, level } = req.query;
+
+        const isModerator = hasPermission(req.user, 'question:moderate');
+        let creatorId = isModerator ? null : req.userId;
+        if (req.query.creator_id !== undefined) {
+            creatorId = req.query.creator_id;
+            if (!isModerator && creatorId !== req.userId) {
+                throw new ApiError(403, 'You may only export your own questions.');
+            }
+        }
+
+        const filters = {};
+        if (creatorId !== null) {
+            filters.creator_id = creatorId;
+        }
         if (level) {
-            filters.level = level;  // Filter by level if provided
+            filters.level = level;
         }
 
-        // If answeredStatus is provided, join AnsweredQuestionUser table and filter by answered status
-        if (answeredStatus) {
-            filters['$AnsweredQuestionUser.answered_status$'] = answeredStatus;
+        const tagNames = [...new Set(String(tags || '').split(',').map((tag) => tag.trim()).filter(Boolean))];
+        if (tagNames.length > 0) {
+            filters.id = { [Op.in]: taggedQuestionIds(tagNames, { match: tagMatch, includeDescendants }) };
         }
 
-        // Fetch the questions with the applied filters, including join with AnsweredQuestionUser to check the answered status
         const questions = await Question.findAll({
             where: filters,
-            include: [{
-                model: AnsweredQuestionUser,
-                required: false, // Make it a left join (to include questions even if the user hasn't answered)
-            },
-            { model: Tag }
+            include: [
+                { model: Tag, through: { attributes: [] } },
+                { model: QuestionOption, as: 'options' },
             ],
+            order: [['id', 'ASC'], [{ model: QuestionOption, as: 'options' }, 'position', 'ASC']],
+        });
+
+        const { contentType, extension } = FORMATS[format];
+        const { body, skipped } = FORMATS[format].format(
+            questions.map((question) => ({ id: question.id, record: questionToRecord(question, question.options) }))
+        );
+
+        res.attachment(`questions-${new Date().toISOString().slice(0, 10)}.${extension}`);
+        res.set('Content-Type', contentType);
+        res.set('X-Skipped-Questions', String(skipped.length));
+        res.status(200).send(body);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/question:
+ *   get:
+ *     summary: Get filtered list of questions
+ *     description: Fetch a page of questions with optional filters for name, level and answered status.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Filter questions by name (partial match).
+ *       - in: query
+ *         name: level
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         description: The difficulty level of the question.
+ *       - in: query
+ *         name: answeredStatus
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [correct, incorrect, unanswered]
+ *         description: Only return questions the current user has answered correctly, answered incorrectly, or not answered.
+ *       - in: query
+ *         name: tags
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: history,geography
+ *         description: Comma-separated tag names; only return questions with these tags.
+ *       - in: query
+ *         name: tagMatch
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether questions need any one of the given tags, or all of them.
+ *       - in: query
+ *         name: includeDescendants
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Count a question as having a tag if it has that tag or any tag below it.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -answer_count,name
+ *         required: false
+ *         description: >
+ *           Comma-separated sort fields, each optionally prefixed with "-" for descending order.
+ *           Fields: id, name, answer_count, correct_answer_count, rating. Default is id.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of filtered questions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       level:
+ *                         type: string
+ *                         enum: [easy, medium, hard]
+ *                       level_label:
+ *                         type: string
+ *                         description: The level in the language of the response.
+ *                       displayed_level:
+ *                         type: string
+ *                         enum: [easy, medium, hard]
+ *                         description: The calibrated level if there is one, else the author's level.
+ *                       displayed_level_label:
+ *                         type: string
+ *                       rating:
+ *                         type: number
+ *                         description: Difficulty rating, calibrated by the answers to the question.
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       answer_count:
+ *                         type: integer
+ *                       correct_answer_count:
+ *                         type: integer
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *       400:
+ *         description: Invalid parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error.
+ */
+router.get('/', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const { name, level, answeredStatus, tags, tagMatch = 'any', includeDescendants = false } = req.query;
+
+        const pagination = parsePagination(req.query, {
+            sortFields: ['id', 'name', 'answer_count', 'correct_answer_count', 'rating'],
+            defaultSort: 'id',
         });
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
+        }
+
+        // Build the filter criteria
+        let filters = {};
+
+        if (name) {
+            filters.name = {
+                [Op.like]: `%${name}%`, // Partial match for the name
+            };
+        }
+
+        if (level) {
+            filters.level = level;  // Filter by level if provided
+        }
+
+        // If answeredStatus is provided, filter by the current user's answers. A subquery rather than
+        // a join keeps one row per question, which paging relies on.
+        if (answeredStatus) {
+            const answeredBy = (status) =>
+                sequelize.literal(
+                    '(SELECT question_id FROM AnsweredQuestionUsers' +
+                        ` WHERE user_id = ${sequelize.escape(req.userId)}` +
+                        (status ? ` AND answered_status = ${sequelize.escape(status)})` : ')')
+                );
+            filters.id = answeredStatus === UNANSWERED_STATUS
+                ? { [Op.notIn]: answeredBy() }
+                : { [Op.in]: answeredBy(answeredStatus) };
+        }
+
+        // If tags are provided, keep the questions with any or all of them; the id is compared
+        // separately from the answered status filter above
+        const tagNames = [...new Set(String(tags || '').split(',').map((tag) => tag.trim()).filter(Boolean))];
+        if (tagNames.length > 0) {
+            const tagged = taggedQuestionIds(tagNames, { match: tagMatch, includeDescendants });
+            filters[Op.and] = [{ id: { [Op.in]: tagged } }];
+        }
+
+        // Fetch a page of the questions with the applied filters
+        const { rows: questions, meta, links } = await paginate(
+            Question,
+            pagination,
+            { where: filters, include: [{ model: Tag, through: { attributes: [] } }] },
+            req
+        );
 
         // Return the filtered questions with only the selected fields
         const formattedQuestions = questions.map(question => ({
             id: question.id,
             name: question.name,
-            level: question.level,
-            tag: question.Tag.name,  // Assuming tag is a field in the Question model
+            type: question.type,
+            ...levelsOf(req, question),
+            rating: question.rating,
+            tags: tagNamesOf(question),
+            answer_count: question.answer_count,
+            correct_answer_count: question.correct_answer_count,
         }));
 
-        res.status(200).json(formattedQuestions);
+        res.status(200).json({ data: formattedQuestions, meta, links });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: 'Failed to fetch questions.' });
+        next(error);
     }
 });
 
@@ -0,0 +1,958 @@
+const express = require('express');
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../db');
+const config = require('../config');
+const {
+    Quiz,
+    QuizQuestion,
+    QuizAttempt,
+    QuizAnswer,
+    Question,
+    QuestionOption,
+    Tag,
+    AnsweredQuestionUser,
+} = require('../models');
+const { authenticateUser, authorize, rateLimit } = require('../middleware');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { parsePagination, paginate } = require('../pagination');
+const { parseResponse, validateResponse } = require('../services/grading');
+const { readResponse, loadOptions, formatOptions } = require('../services/questions');
+const { recordAnswer } = require('../services/answers');
+
+const router = express.Router();
+
+const DEFAULT_QUESTION_COUNT = 10;
+const DEFAULT_TIME_LIMIT = 600; // seconds
+// Answers that arrive this late are still accepted, to absorb network latency
+const GRACE_PERIOD_MS = 2000;
+
+// Fields of a question a quiz taker may see; the correct options and answer_spec are hidden until grading
+const PUBLIC_QUESTION_ATTRIBUTES = ['id', 'name', 'question', 'type', 'level'];
+
+const QUESTION_INCLUDE = {
+    model: Question,
+    attributes: [...PUBLIC_QUESTION_ATTRIBUTES, 'answer_spec'],
+    include: [{ model: QuestionOption, as: 'options' }],
+};
+
+const loadQuizQuestions = (quizId, options = {}) =>
+    QuizQuestion.findAll({
+        where: { quiz_id: quizId },
+        order: [['position', 'ASC']],
+        include: [QUESTION_INCLUDE],
+        ...options,
+    });
+
+// A quiz question as shown to the user; the options and answer_spec only tell the answer after grading
+const formatQuizQuestion = (req, quizQuestion, revealAnswers) => {
+    const { options, answer_spec, ...question } = quizQuestion.Question.toJSON();
+    return {
+        position: quizQuestion.position,
+        ...question,
+        level_label: req.label('level', question.level),
+        answer_spec: revealAnswers ? answer_spec : undefined,
+        options: formatOptions(
+            options.sort((a, b) => a.position - b.position),
+            revealAnswers
+        ),
+    };
+};
+
+// Grades every recorded answer and closes the attempt. The answers are recorded like answers to
+// single questions, so only the user's first answer to a question scores and changes the ratings.
+const finalizeAttempt = async (attempt, status) => {
+    // An immediate transaction takes the write lock up front, so answers to the same questions
+    // submitted at the same time are recorded one after the other
+    await sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+        // Re-read inside the transaction so a concurrent submission cannot grade the attempt twice
+        await attempt.reload({ transaction });
+        if (attempt.status !== 'in_progress') {
+            return;
+        }
+
+        const answers = await QuizAnswer.findAll({
+            where: { attempt_id: attempt.id },
+            include: [{ model: Question, attributes: ['id', 'type', 'partial_credit', 'answer_spec'] }],
+            order: [['answered_at', 'ASC']],
+            transaction,
+        });
+
+        let correctCount = 0;
+        let score = 0;
+        for (const answer of answers) {
+            const options = await loadOptions(answer.question_id, transaction);
+            const { correct, credit } = await recordAnswer(
+                attempt.user_id,
+                answer.Question,
+                options,
+                answer.response,
+                { timeTakenMs: null },
+                transaction
+            );
+            if (correct) {
+                correctCount += 1;
+            }
+            score += credit;
+            await answer.update({ is_correct: correct, credit }, { transaction });
+        }
+
+        await attempt.update(
+            { status, finished_at: new Date(), correct_count: correctCount, score },
+            { transaction }
+        );
+    });
+};
+
+// Loads an attempt of the current user, expiring it first if its time limit has passed
+const loadAttempt = async (req) => {
+    const attempt = await QuizAttempt.findOne({
+        where: { id: req.params.attemptId, user_id: req.userId },
+    });
+    if (!attempt) {
+        throw new ApiError(404, 'Attempt not found.');
+    }
+
+    if (attempt.status === 'in_progress' && Date.now() > attempt.expires_at.getTime() + GRACE_PERIOD_MS) {
+        await finalizeAttempt(attempt, 'expired');
+    }
+
+    return attempt;
+};
+
+const formatQuiz = (req, quiz) => ({
+    id: quiz.id,
+    creator_id: quiz.creator_id,
+    title: quiz.title,
+    tag: quiz.Tag ? quiz.Tag.name : null,
+    level: quiz.level,
+    level_label: req.label('level', quiz.level),
+    time_limit: quiz.time_limit,
+    question_count: quiz.Questions ? quiz.Questions.length : undefined,
+    created_at: quiz.created_at,
+});
+
+const formatAttempt = (attempt, questionCount) => ({
+    id: attempt.id,
+    quiz_id: attempt.quiz_id,
+    status: attempt.status,
+    started_at: attempt.started_at,
+    expires_at: attempt.expires_at,
+    finished_at: attempt.finished_at,
+    remaining_seconds:
+        attempt.status === 'in_progress'
+            ? Math.max(0, Math.ceil((attempt.expires_at.getTime() - Date.now()) / 1000))
+            : 0,
+    question_count: questionCount,
+    correct_count: attempt.correct_count,
+});
+
+// Builds the graded summary of a finished attempt. The correct answers are only shown for the
+// questions the user has answered, here or elsewhere, so a skipped question can still be answered
+// for a score without knowing them.
+const buildSummary = async (req, attempt) => {
+    const quizQuestions = await loadQuizQuestions(attempt.quiz_id);
+    const answers = await QuizAnswer.findAll({ where: { attempt_id: attempt.id } });
+    const answersByQuestion = new Map(answers.map((answer) => [answer.question_id, answer]));
+    const answered = await AnsweredQuestionUser.findAll({
+        where: { user_id: attempt.user_id, question_id: quizQuestions.map((quizQuestion) => quizQuestion.question_id) },
+        attributes: ['question_id'],
+    });
+    const answeredIds = new Set(answered.map((answer) => answer.question_id));
+
+    return {
+        ...formatAttempt(attempt, quizQuestions.length),
+        score: attempt.score,
+        questions: quizQuestions.map((quizQuestion) => {
+            const answer = answersByQuestion.get(quizQuestion.question_id);
+            return {
+                ...formatQuizQuestion(req, quizQuestion, answeredIds.has(quizQuestion.question_id)),
+                response: answer ? answer.response : null,
+                correct: answer ? answer.is_correct : false,
+                credit: answer ? answer.credit : 0,
+            };
+        }),
+    };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Quiz:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         creator_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         tag:
+ *           type: string
+ *           nullable: true
+ *         level:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *           nullable: true
+ *         level_label:
+ *           type: string
+ *           nullable: true
+ *           description: The level in the language of the response.
+ *         time_limit:
+ *           type: integer
+ *           description: Time limit of an attempt, in seconds.
+ *         question_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     QuizAttempt:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         quiz_id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [in_progress, submitted, expired]
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         remaining_seconds:
+ *           type: integer
+ *         question_count:
+ *           type: integer
+ *         correct_count:
+ *           type: integer
+ *           nullable: true
+ *     QuizQuestion:
+ *       type: object
+ *       properties:
+ *         position:
+ *           type: integer
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         question:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [single_choice, multiple_choice, true_false, short_answer, numeric, ordering]
+ *         level:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         level_label:
+ *           type: string
+ *           description: The level in the language of the response.
+ *         options:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuestionOption'
+ *         answer_spec:
+ *           $ref: '#/components/schemas/AnswerSpec'
+ *         response:
+ *           nullable: true
+ *           oneOf:
+ *             - type: string
+ *             - type: number
+ *             - type: array
+ *               items:
+ *                 type: integer
+ *           description: The answer the user has given so far.
+ */
+
+/**
+ * @swagger
+ * /api/quiz:
+ *   post:
+ *     summary: Create a quiz
+ *     description: >
+ *       Create a timed quiz either from an explicit list of questions, or from questions drawn
+ *       at random by tag and/or level.
+ *     tags:
+ *       - Quizzes
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *               question_ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: integer
+ *                 description: Explicit questions, in order. Takes precedence over tag_name and level.
+ *               tag_name:
+ *                 type: string
+ *               level:
+ *                 type: string
+ *                 enum: [easy, medium, hard]
+ *               question_count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 10
+ *                 description: Number of questions to draw when no explicit list is given.
+ *               time_limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 14400
+ *                 default: 600
+ *                 description: Time limit of an attempt, in seconds.
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Quiz'
+ *       400:
+ *         description: Validation error, or no questions matched.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tag or question not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/', authenticateUser, validateRequest, async (req, res, next) => {
+    const {
+        title,
+        question_ids,
+        tag_name,
+        level,
+        question_count = DEFAULT_QUESTION_COUNT,
+        time_limit = DEFAULT_TIME_LIMIT,
+    } = req.body;
+
+    try {
+        let tag = null;
+        if (tag_name) {
+            tag = await Tag.findOne({ where: { name: tag_name } });
+            if (!tag) {
+                throw new ApiError(404, `Tag with name "${tag_name}" not found.`);
+            }
+        }
+
+        let questionIds;
+        if (question_ids) {
+            questionIds = [...new Set(question_ids)];
+            const found = await Question.count({ where: { id: questionIds } });
+            if (found !== questionIds.length) {
+                throw new ApiError(404, 'One or more questions were not found.');
+            }
+        } else {
+            const where = {};
+            if (level) {
+                where.level = level;
+            }
+
+            const questions = await Question.findAll({
+                where,
+                include: tag ? [{ model: Tag, where: { id: tag.id }, attributes: [], through: { attributes: [] } }] : [],
+                attributes: ['id'],
+                order: sequelize.random(),
+                limit: question_count,
+            });
+            questionIds = questions.map((question) => question.id);
+        }
+
+        if (questionIds.length === 0) {
+            throw new ApiError(400, 'No questions match the given criteria.', { code: 'no_matching_questions' });
+        }
+
+        const quiz = await sequelize.transaction(async (transaction) => {
+            const newQuiz = await Quiz.create(
+                {
+                    creator_id: req.userId,
+                    title,
+                    tag_id: tag ? tag.id : null,
+                    level: question_ids ? null : level || null,
+                    time_limit,
+                },
+                { transaction }
+            );
+
+            await QuizQuestion.bulkCreate(
+                questionIds.map((questionId, index) => ({
+                    quiz_id: newQuiz.id,
+                    question_id: questionId,
+                    position: index + 1,
+                })),
+                { transaction }
+            );
+
+            return newQuiz;
+        });
+
+        res.status(201).json({ ...formatQuiz(req, quiz), tag: tag ? tag.name : null, question_count: questionIds.length });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz:
+ *   get:
+ *     summary: List quizzes
+ *     description: Retrieve a page of quizzes, by default newest first.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: title
+ *         required: false
+ *         description: >
+ *           Comma-separated sort fields, each optionally prefixed with "-" for descending order.
+ *           Fields: id, title, created_at. Default is -created_at.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of quizzes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Quiz'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *       400:
+ *         description: Invalid paging or sort parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error.
+ */
+router.get('/', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query, {
+            sortFields: ['id', 'title', 'created_at'],
+            defaultSort: '-created_at',
+        });
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
+        }
+
+        const { rows: quizzes, meta, links } = await paginate(
+            Quiz,
+            pagination,
+            {
+                include: [
+                    { model: Tag, attributes: ['name'] },
+                    { model: Question, attributes: ['id'], through: { attributes: [] } },
+                ],
+            },
+            req
+        );
+
+        res.status(200).json({ data: quizzes.map((quiz) => formatQuiz(req, quiz)), meta, links });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz/{id}:
+ *   get:
+ *     summary: Get a quiz
+ *     description: Fetch a quiz by ID, without its questions.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quiz fetched successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Quiz'
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/:id', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const quiz = await Quiz.findByPk(req.params.id, {
+            include: [
+                { model: Tag, attributes: ['name'] },
+                { model: Question, attributes: ['id'], through: { attributes: [] } },
+            ],
+        });
+        if (!quiz) {
+            throw new ApiError(404, 'Quiz not found.');
+        }
+
+        res.status(200).json(formatQuiz(req, quiz));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz/{id}/attempts:
+ *   post:
+ *     summary: Start a quiz attempt
+ *     description: Start a new timed attempt at a quiz. The timer starts immediately and is enforced by the server.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Attempt started.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuizAttempt'
+ *       404:
+ *         description: Quiz not found.
+ *       409:
+ *         description: The user already has an attempt in progress for this quiz.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     attempt_id:
+ *                       type: integer
+ *                       description: The attempt in progress.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:id/attempts', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const quiz = await Quiz.findByPk(req.params.id);
+        if (!quiz) {
+            throw new ApiError(404, 'Quiz not found.');
+        }
+
+        const running = await QuizAttempt.findOne({
+            where: {
+                quiz_id: quiz.id,
+                user_id: req.userId,
+                status: 'in_progress',
+                expires_at: { [Op.gt]: new Date(Date.now() - GRACE_PERIOD_MS) },
+            },
+        });
+        if (running) {
+            throw new ApiError(409, 'You already have an attempt in progress for this quiz.', {
+                code: 'attempt_in_progress',
+                attempt_id: running.id,
+            });
+        }
+
+        const startedAt = new Date();
+        const attempt = await QuizAttempt.create({
+            quiz_id: quiz.id,
+            user_id: req.userId,
+            started_at: startedAt,
+            expires_at: new Date(startedAt.getTime() + quiz.time_limit * 1000),
+        });
+        const questionCount = await QuizQuestion.count({ where: { quiz_id: quiz.id } });
+
+        res.status(201).json(formatAttempt(attempt, questionCount));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz/attempts/{attemptId}:
+ *   get:
+ *     summary: Get a quiz attempt
+ *     description: >
+ *       Fetch the state of an attempt. Once the attempt is submitted or has expired, the
+ *       graded summary is returned as well, with the correct options of the questions the user
+ *       has answered.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attempt fetched successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuizAttempt'
+ *       404:
+ *         description: Attempt not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/attempts/:attemptId', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const attempt = await loadAttempt(req);
+
+        if (attempt.status !== 'in_progress') {
+            return res.status(200).json(await buildSummary(req, attempt));
+        }
+
+        const questionCount = await QuizQuestion.count({ where: { quiz_id: attempt.quiz_id } });
+        res.status(200).json(formatAttempt(attempt, questionCount));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz/attempts/{attemptId}/questions:
+ *   get:
+ *     summary: Get all questions of an attempt
+ *     description: Fetch every question of a running attempt at once, together with the answers given so far.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Questions fetched successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/QuizQuestion'
+ *       404:
+ *         description: Attempt not found.
+ *       409:
+ *         description: The attempt is no longer in progress.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/attempts/:attemptId/questions', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const attempt = await loadAttempt(req);
+
+        if (attempt.status !== 'in_progress') {
+            throw new ApiError(409, 'This attempt is no longer in progress.', { code: 'attempt_closed' });
+        }
+
+        const quizQuestions = await loadQuizQuestions(attempt.quiz_id);
+        const answers = await QuizAnswer.findAll({ where: { attempt_id: attempt.id } });
+        const responses = new Map(answers.map((answer) => [answer.question_id, answer.response]));
+
+        res.status(200).json(
+            quizQuestions.map((quizQuestion) => ({
+                ...formatQuizQuestion(req, quizQuestion, false),
+                response: responses.has(quizQuestion.question_id) ? responses.get(quizQuestion.question_id) : null,
+            }))
+        );
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz/attempts/{attemptId}/questions/{position}:
+ *   get:
+ *     summary: Get one question of an attempt
+ *     description: Fetch a single question of a running attempt by its 1-based position.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: position
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question fetched successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/QuizQuestion'
+ *                 - type: object
+ *                   properties:
+ *                     question_count:
+ *                       type: integer
+ *       404:
+ *         description: Attempt or question not found.
+ *       409:
+ *         description: The attempt is no longer in progress.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/attempts/:attemptId/questions/:position', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const attempt = await loadAttempt(req);
+
+        if (attempt.status !== 'in_progress') {
+            throw new ApiError(409, 'This attempt is no longer in progress.', { code: 'attempt_closed' });
+        }
+
+        const quizQuestion = await QuizQuestion.findOne({
+            where: { quiz_id: attempt.quiz_id, position: req.params.position },
+            include: [QUESTION_INCLUDE],
+        });
+        if (!quizQuestion) {
+            throw new ApiError(404, 'Question not found.');
+        }
+
+        const answer = await QuizAnswer.findOne({
+            where: { attempt_id: attempt.id, question_id: quizQuestion.question_id },
+        });
+        const questionCount = await QuizQuestion.count({ where: { quiz_id: attempt.quiz_id } });
+
+        res.status(200).json({
+            ...formatQuizQuestion(req, quizQuestion, false),
+            response: answer ? answer.response : null,
+            question_count: questionCount,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/quiz/attempts/{attemptId}/questions/{position}/answer:
+ *   put:
+ *     summary: Answer a question of an attempt
+ *     description: >
+ *       Record or change the answer to one question of a running attempt. Answers are graded
+ *       when the attempt is submitted, and are rejected once the time limit has passed.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: position
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               option:
+ *                 type: integer
+ *                 description: Position of the selected option, for single choice and true/false questions
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Positions of all selected options, for multiple choice questions
+ *               answer:
+ *                 description: >
+ *                   The answer for any question type: a text for short answer questions, a number for
+ *                   numeric questions, option positions in the chosen order for ordering questions, or
+ *                   the selected option position(s) for choice questions.
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: number
+ *                   - type: array
+ *                     items:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Answer recorded.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 remaining_seconds:
+ *                   type: integer
+ *       400:
+ *         description: Validation error.
+ *       403:
+ *         description: The user may not answer questions.
+ *       404:
+ *         description: Attempt or question not found.
+ *       409:
+ *         description: The attempt is no longer in progress, e.g. because its time limit has passed.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error.
+ */
+router.put(
+    '/attempts/:attemptId/questions/:position/answer',
+    authenticateUser,
+    authorize('question:answer'),
+    rateLimit('answer', config.rateLimits.answer, (req) => req.userId),
+    validateRequest,
+    async (req, res, next) => {
+        try {
+            const submitted = readResponse(req.body);
+            if (submitted === undefined) {
+                throw new ApiError(400, 'An answer is required.', {
+                    code: 'validation_failed',
+                    details: [{ in: 'body', field: 'answer', message: 'is required' }],
+                });
+            }
+
+            const attempt = await loadAttempt(req);
+
+            if (attempt.status !== 'in_progress') {
+                throw new ApiError(409, 'This attempt is no longer in progress.', { code: 'attempt_closed' });
+            }
+
+            const quizQuestion = await QuizQuestion.findOne({
+                where: { quiz_id: attempt.quiz_id, position: req.params.position },
+                include: [{ model: Question, attributes: ['id', 'type', 'answer_spec'] }],
+            });
+            if (!quizQuestion) {
+                throw new ApiError(404, 'Question not found.');
+            }
+
+            const questionOptions = await loadOptions(quizQuestion.question_id);
+            const response = parseResponse(quizQuestion.Question, submitted);
+            const responseError = validateResponse(quizQuestion.Question, questionOptions, response);
+            if (responseError) {
+                throw new ApiError(400, responseError, { code: 'invalid_answer' });
+            }
+
+            await QuizAnswer.upsert({
+                attempt_id: attempt.id,
+                question_id: quizQuestion.question_id,
+                response: response,
+                answered_at: new Date(),
+            });
+
+            res.status(200).json({
+                message: req.t('Answer recorded.'),
+                remaining_seconds: formatAttempt(attempt, 0).remaining_seconds,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/quiz/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit a quiz attempt
+ *     description: >
+ *       Finish an attempt and return its graded summary. The answers are recorded like answers to
+ *       single questions: the user's first answer to a question adds its credit to the user's score
+ *       and updates the ratings, while answers to questions the user answered before, in a quiz or
+ *       not, are graded without scoring. The correct options are only shown for the questions the
+ *       user has answered. An attempt whose time limit has passed is graded automatically with the
+ *       answers recorded in time; submitting it returns that summary.
+ *     tags:
+ *       - Quizzes
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Graded summary of the attempt.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/QuizAttempt'
+ *                 - type: object
+ *                   properties:
+ *                     score:
+ *                       type: number
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/QuizQuestion'
+ *                           - type: object
+ *                             properties:
+ *                               correct:
+ *                                 type: boolean
+ *                               credit:
+ *                                 type: number
+ *       404:
+ *         description: Attempt not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/attempts/:attemptId/submit', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const attempt = await loadAttempt(req);
+
+        if (attempt.status === 'in_progress') {
+            await finalizeAttempt(attempt, 'submitted');
+        }
+
+        res.status(200).json(await buildSummary(req, attempt));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
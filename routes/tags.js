@@ -1,16 +1,55 @@
 const express = require('express');
 const { Op } = require('sequelize');
 const { Tag } = require('../models');
-const authenticateUser = require('../middleware');
+const { authenticateUser, authorize } = require('../middleware');
+const sequelize = require('../db');
+const { parsePagination, paginate } = require('../pagination');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { TOTAL_QUESTION_NUMBER, moveTag, loadSubtree } = require('../services/tags');
 
 const router = express.Router();
 
+const TAG_ATTRIBUTES = ['id', 'name', 'parent_id', 'question_number', TOTAL_QUESTION_NUMBER];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The tag this tag is filed under, or null for a top-level tag.
+ *         question_number:
+ *           type: integer
+ *           description: Number of questions with this tag.
+ *         total_question_number:
+ *           type: integer
+ *           description: Number of distinct questions with this tag or any tag below it.
+ *     TagNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Tag'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TagNode'
+ */
+
 /**
  * @swagger
  * /api/tag:
  *   get:
  *     summary: Retrieve a list of tags
- *     description: Retrieve tags filtered by name (optional) and sorted by ID.
+ *     description: Retrieve a page of tags filtered by name (optional), by default with the most used tags first.
  *     tags:
  *       - Tags
  *     parameters:
@@ -21,47 +60,74 @@ const router = express.Router();
  *         required: false
  *         description: Filter tags by name (case-insensitive, partial match).
  *       - in: query
+ *         name: parent_id
+ *         schema:
+ *           type: string
+ *           pattern: ^(\d+|null)$
+ *         required: false
+ *         description: Only return the direct children of this tag, or the top-level tags if set to "null".
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [asc, desc]
+ *           example: -question_number,name
  *         required: false
- *         description: Sort tags by question number in ascending (asc) or descending (desc) order. Default is desc.
+ *         description: >
+ *           Comma-separated sort fields, each optionally prefixed with "-" for descending order.
+ *           Fields: id, name, question_number. Default is -question_number. The values asc and desc
+ *           sort by question number in that direction.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: A list of tags.
+ *         description: A page of tags.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   name:
- *                     type: string
- *                   question_number:
- *                     type: integer
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
+ *       400:
+ *         description: Invalid paging or sort parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  */
-router.get('/', authenticateUser, async (req, res) => {
+router.get('/', authenticateUser, validateRequest, async (req, res, next) => {
     try {
-        const { name, sort = 'desc' } = req.query;
+        const { name, parent_id } = req.query;
+
+        const pagination = parsePagination(req.query, {
+            sortFields: ['id', 'name', 'question_number'],
+            defaultSort: '-question_number',
+        });
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
+        }
 
         const where = name
             ? { name: { [Op.like]: `%${name}%` } }
-            : undefined;
+            : {};
+        if (parent_id !== undefined) {
+            where.parent_id = parent_id === 'null' ? null : parent_id;
+        }
 
-        const tags = await Tag.findAll({
-            where,
-            order: [['question_number', sort.toLowerCase() === 'desc' ? 'DESC' : 'ASC']],
-        });
+        const { rows: tags, meta, links } = await paginate(Tag, pagination, { where, attributes: TAG_ATTRIBUTES }, req);
 
-        res.json(tags);
+        res.json({ data: tags, meta, links });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch tags' });
+        next(error);
     }
 });
 
@@ -70,7 +136,7 @@ router.get('/', authenticateUser, async (req, res) => {
  * /api/tag:
  *   post:
  *     summary: Add a new tag
- *     description: Add a new tag to the database.
+ *     description: Add a new tag to the database. Requires the moderator or admin role.
  *     tags:
  *       - Tags
  *     requestBody:
@@ -79,56 +145,178 @@ router.get('/', authenticateUser, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [name]
  *             properties:
  *               name:
  *                 type: string
+ *                 minLength: 1
  *                 example: Tag1
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: File the new tag under this tag. Omit for a top-level tag.
  *     responses:
  *       201:
  *         description: Tag created successfully.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 name:
- *                   type: string
- *                 question_number:
- *                   type: integer
+ *               $ref: '#/components/schemas/Tag'
  *       400:
  *         description: Validation or duplication error.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is not allowed to create tags.
+ *       404:
+ *         description: Parent tag not found.
  *       500:
  *         description: Server error.
  */
-router.post('/', authenticateUser, async (req, res) => {
+router.post('/', authenticateUser, authorize('tag:create'), validateRequest, async (req, res, next) => {
     try {
-        const { name } = req.body;
+        const { name, parent_id } = req.body;
 
-        // Validate the request body
-        if (!name || typeof name !== 'string') {
-            return res.status(400).json({ error: 'Name is required and must be a string.' });
+        if (parent_id !== undefined && parent_id !== null && !(await Tag.findByPk(parent_id))) {
+            throw new ApiError(404, 'Parent tag not found.');
         }
 
         // Check if the tag already exists
         const existingTag = await Tag.findOne({ where: { name } });
         if (existingTag) {
-            return res.status(400).json({ error: 'Tag already exists.' });
+            throw new ApiError(400, 'Tag already exists.', { code: 'tag_exists' });
+        }
+
+        // Create the new tag; its path is set once it has an id
+        const tag = await sequelize.transaction((transaction) =>
+            Tag.create({ name, parent_id: parent_id || null }, { transaction })
+        );
+        res.status(201).json({
+            id: tag.id,
+            name: tag.name,
+            parent_id: tag.parent_id,
+            question_number: tag.question_number,
+            total_question_number: 0,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tag/{id}/subtree:
+ *   get:
+ *     summary: Retrieve a tag and all tags below it
+ *     description: Retrieve a tag with its descendants as a tree, children sorted by name, with rolled-up question counts.
+ *     tags:
+ *       - Tags
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The tag and its descendants.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TagNode'
+ *       404:
+ *         description: Tag not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/:id/subtree', authenticateUser, validateRequest, async (req, res, next) => {
+    try {
+        const tag = await Tag.findByPk(req.params.id);
+        if (!tag) {
+            throw new ApiError(404, 'Tag not found.');
+        }
+
+        res.status(200).json(await loadSubtree(tag));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tag/{id}/parent:
+ *   patch:
+ *     summary: Move a tag
+ *     description: >
+ *       File a tag, with all tags below it, under another tag, or make it a top-level tag.
+ *       Requires the moderator or admin role.
+ *     tags:
+ *       - Tags
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parent_id]
+ *             properties:
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: The new parent tag, or null to make the tag a top-level tag.
+ *     responses:
+ *       200:
+ *         description: Tag moved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TagNode'
+ *       400:
+ *         description: The new parent is the tag itself or one of its descendants.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is not allowed to manage tags.
+ *       404:
+ *         description: Tag or parent tag not found.
+ *       500:
+ *         description: Server error.
+ */
+router.patch('/:id/parent', authenticateUser, authorize('tag:manage'), validateRequest, async (req, res, next) => {
+    try {
+        const { parent_id } = req.body;
+
+        const tag = await Tag.findByPk(req.params.id);
+        if (!tag) {
+            throw new ApiError(404, 'Tag not found.');
+        }
+
+        let parent = null;
+        if (parent_id !== null) {
+            parent = await Tag.findByPk(parent_id);
+            if (!parent) {
+                throw new ApiError(404, 'Parent tag not found.');
+            }
+        }
+
+        const moveError = await sequelize.transaction((transaction) => moveTag(tag, parent, transaction));
+        if (moveError) {
+            throw new ApiError(400, moveError);
         }
 
-        // Create the new tag
-        const tag = await Tag.create({ name });
-        res.status(201).json(tag);
+        res.status(200).json(await loadSubtree(tag));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create tag' });
+        next(error);
     }
 });
 
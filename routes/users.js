@@ -1,18 +1,41 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { User } = require('../models');
+const sequelize = require('../db');
+const config = require('../config');
+const { User, ApiToken } = require('../models');
 const bcrypt = require('bcrypt');
-const authenticateUser = require('../middleware');
+const { authenticateUser, requireSession, rateLimit, tooManyRequests } = require('../middleware');
+const { sessionOptions } = require('../session');
+const { parsePagination, paginate } = require('../pagination');
+const { ApiError } = require('../errors');
+const { validateRequest } = require('../validation');
+const { DEFAULT_ACTIVITY_DAYS, userStatistics } = require('../services/stats');
+const { EMAIL_VERIFICATION, PASSWORD_RESET, consumeToken } = require('../services/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { lockedUntil, recordLoginFailure, recordLoginSuccess } = require('../services/loginAttempts');
 
 const router = express.Router();
 
+// Checked when no user has the email, so that a failed login takes as long either way
+const UNKNOWN_USER_HASH = bcrypt.hashSync('', config.bcryptRounds);
+
+// Rank is computed over all users, so it does not depend on the page, the sort or the name filter
+const scoreboardAttributes = (rankBy) => [
+    'id',
+    'name',
+    'score',
+    'rating',
+    [sequelize.literal(`(SELECT COUNT(*) FROM Users AS ranked WHERE ranked.${rankBy} > User.${rankBy}) + 1`), 'rank'],
+];
 
 /**
  * @swagger
  * /api/user:
  *   get:
- *     summary: Retrieve a list of users for scoreboard
- *     description: Retrieve users with the current user at the top and other users sorted by score and optional name filter.
+ *     summary: Retrieve a page of the scoreboard
+ *     description: >
+ *       Retrieve a page of users ranked by score or rating, with an optional name filter. The
+ *       current user is returned separately with their rank, whichever page is requested.
  *     tags:
  *       - Users
  *     parameters:
@@ -23,95 +46,286 @@ const router = express.Router();
  *         required: false
  *         description: Filter users by name (case-insensitive, partial match).
  *       - in: query
+ *         name: rankBy
+ *         schema:
+ *           type: string
+ *           enum: [score, rating]
+ *           default: score
+ *         required: false
+ *         description: >
+ *           Rank users by their total score, or by their Elo rating, which weighs each answer by
+ *           the difficulty of the question. Also the default sort field.
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [asc, desc]
+ *           example: -score,name
  *         required: false
- *         description: Sort users by score in ascending (asc) or descending (desc) order. Default is desc.
+ *         description: >
+ *           Comma-separated sort fields, each optionally prefixed with "-" for descending order.
+ *           Fields: id, name, score, rating. Default is the rankBy field, descending. The values
+ *           asc and desc sort by the rankBy field in that direction.
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: A list of users.
+ *         description: A page of users.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   name:
- *                     type: string
- *                   score:
- *                     type: integer
+ *               type: object
+ *               properties:
+ *                 current_user:
+ *                   $ref: '#/components/schemas/ScoreboardUser'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScoreboardUser'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *                 links:
+ *                   $ref: '#/components/schemas/PaginationLinks'
  *       400:
- *         description: Validation error.
+ *         description: Invalid paging, sort or rankBy parameters.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error.
+ * components:
+ *   schemas:
+ *     ScoreboardUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         score:
+ *           type: number
+ *         rating:
+ *           type: number
+ *           description: Elo rating, starting at 1500.
+ *         rank:
+ *           type: integer
+ *           description: >
+ *             1 plus the number of users with a higher score or rating, as chosen by rankBy, so tied
+ *             users share a rank.
  */
-router.get('/', authenticateUser, async (req, res) => {
+router.get('/', authenticateUser, validateRequest, async (req, res, next) => {
     try {
-        const { name } = req.query;
-        sortOrder = 'DESC'
-        const currentUserId = req.userId;
-
-        // Fetch the current user
-        const currentUser = await User.findByPk(currentUserId);
-        if (!currentUser) {
-            return res.status(400).json({ error: 'Current user not found.' });
+        const { name, rankBy = 'score' } = req.query;
+
+        const pagination = parsePagination(req.query, {
+            sortFields: ['id', 'name', 'score', 'rating'],
+            defaultSort: `-${rankBy}`,
+        });
+        if (pagination.error) {
+            throw new ApiError(400, pagination.error);
         }
 
-        // Build query filters for other users
         const where = name
-            ? {
-                  id: { [Op.ne]: currentUserId }, // Exclude the current user
-                  name: { [Op.like]: `%${name}%` }, // Case-insensitive partial match
-              }
-            : { id: { [Op.ne]: currentUserId } }; // Exclude the current user
-        
-        // Fetch other users sorted by score
-        const otherUsers = await User.findAll({
-            where,
-            order: [['score', sortOrder]],
-        });
+            ? { name: { [Op.like]: `%${name}%` } } // Case-insensitive partial match
+            : undefined;
 
-        // Combine current user and other users
-        const allUsers = [currentUser, ...otherUsers];
+        const { rows: users, meta, links } = await paginate(
+            User,
+            pagination,
+            { where, attributes: scoreboardAttributes(rankBy) },
+            req
+        );
+        const currentUser = await User.findByPk(req.userId, { attributes: scoreboardAttributes(rankBy) });
 
-        // Calculate rank for each user
-        let rank = 1;
-        const result = allUsers.map((user, index) => {
-            const userWithRank = { ...user.toJSON(), rank };
+        res.status(200).json({ current_user: currentUser, data: users, meta, links });
+    } catch (error) {
+        next(error);
+    }
+});
 
-            // If the next user has the same score, keep the same rank
-            if (index > 0 && user.score !== allUsers[index - 1].score) {
-                rank = index + 1;
-            }
-            
-            return userWithRank;
-        });
+// Responds with the statistics of a user, for the /me/stats and /:id/stats routes
+const sendStatistics = async (req, res, next, userId) => {
+    try {
+        const { days = DEFAULT_ACTIVITY_DAYS } = req.query;
 
-        res.status(200).json(result);
+        const user = await User.findByPk(userId, { attributes: ['id', 'name', 'score', 'rating'] });
+        if (!user) {
+            throw new ApiError(404, 'User not found.');
+        }
 
+        const statistics = await userStatistics(user.id, { days });
+        res.status(200).json({
+            user,
+            ...statistics,
+            by_level: statistics.by_level.map((row) => ({ ...row, level_label: req.label('level', row.level) })),
+        });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch users' });
+        next(error);
     }
-});
+};
+
+/**
+ * @swagger
+ * /api/user/me/stats:
+ *   get:
+ *     summary: Retrieve the statistics of the current user
+ *     description: The same statistics as /api/user/{id}/stats, for the logged-in user.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - $ref: '#/components/parameters/ActivityDays'
+ *     responses:
+ *       200:
+ *         description: The user's statistics.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserStatistics'
+ *       400:
+ *         description: Invalid number of days.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/me/stats', authenticateUser, validateRequest, (req, res, next) => sendStatistics(req, res, next, req.userId));
+
+/**
+ * @swagger
+ * /api/user/{id}/stats:
+ *   get:
+ *     summary: Retrieve the statistics of a user
+ *     description: >
+ *       Answer counts and accuracy, overall, per tag and per level; how the questions the user wrote
+ *       are answered; the user's daily streaks; and their activity per day. Accuracy is the average
+ *       credit earned per answer. Days are in UTC, and answers recorded before answers were
+ *       timestamped are left out of the streaks and activity.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ActivityDays'
+ *     responses:
+ *       200:
+ *         description: The user's statistics.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserStatistics'
+ *       400:
+ *         description: Invalid number of days.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Server error.
+ * components:
+ *   parameters:
+ *     ActivityDays:
+ *       in: query
+ *       name: days
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 365
+ *         default: 30
+ *       required: false
+ *       description: Number of days of activity to return, up to today.
+ *   schemas:
+ *     AnswerCounts:
+ *       type: object
+ *       properties:
+ *         answered:
+ *           type: integer
+ *         correct:
+ *           type: integer
+ *         accuracy:
+ *           type: number
+ *           nullable: true
+ *           description: Average credit per answer, between 0 and 1; null without answers.
+ *     UserStatistics:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             score:
+ *               type: number
+ *             rating:
+ *               type: number
+ *         answers:
+ *           $ref: '#/components/schemas/AnswerCounts'
+ *         by_tag:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AnswerCounts'
+ *               - type: object
+ *                 properties:
+ *                   tag_id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *         by_level:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AnswerCounts'
+ *               - type: object
+ *                 properties:
+ *                   level:
+ *                     type: string
+ *                     enum: [easy, medium, hard]
+ *                   level_label:
+ *                     type: string
+ *                     description: The level in the language of the response.
+ *         authored:
+ *           description: The questions the user wrote, and the answers given to them.
+ *           allOf:
+ *             - $ref: '#/components/schemas/AnswerCounts'
+ *             - type: object
+ *               properties:
+ *                 questions:
+ *                   type: integer
+ *         streaks:
+ *           type: object
+ *           properties:
+ *             current:
+ *               type: integer
+ *               description: Consecutive days with answers up to today, or yesterday if not yet today.
+ *             longest:
+ *               type: integer
+ *         activity:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               answered:
+ *                 type: integer
+ *               correct:
+ *                 type: integer
+ */
+router.get('/:id/stats', authenticateUser, validateRequest, (req, res, next) =>
+    sendStatistics(req, res, next, req.params.id)
+);
 
 /**
  * @swagger
  * /api/user:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user with a unique name and email.
+ *     description: >
+ *       Create a new user with a unique name and email, and send them a link to verify their email
+ *       address; see POST /api/user/verify-email.
  *     tags:
  *       - Users
  *     requestBody:
@@ -120,19 +334,25 @@ router.get('/', authenticateUser, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [name, email, password]
  *             properties:
  *               name:
  *                 type: string
+ *                 minLength: 1
  *                 description: Unique name of the user.
  *                 example: johndoe
  *               email:
  *                 type: string
+ *                 minLength: 1
  *                 description: Unique email of the user.
  *                 example: johndoe@example.com
  *               password:
  *                 type: string
+ *                 minLength: 1
  *                 description: Password for the user.
  *                 example: securepassword123
+ *               language:
+ *                 $ref: '#/components/schemas/Language'
  *     responses:
  *       201:
  *         description: User successfully registered.
@@ -157,35 +377,29 @@ router.get('/', authenticateUser, async (req, res) => {
  *                   type: integer
  *                   description: Initial score of the user.
  *                   example: 0
+ *                 language:
+ *                   $ref: '#/components/schemas/Language'
+ *                 email_verified:
+ *                   type: boolean
+ *                   example: false
  *       400:
  *         description: Validation error or user already exists.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: A user with this name or email already exists.
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Failed to register user.
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('register', config.rateLimits.register), validateRequest, async (req, res, next) => {
     try {
-        const { name, email, password } = req.body;
-
-        // Validate required fields
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'Name, email, and password are required.' });
-        }
+        const { name, email, password, language = null } = req.body;
 
         // Check if a user with the same email or name already exists
         const existingUser = await User.findOne({
@@ -198,26 +412,101 @@ router.post('/', async (req, res) => {
         });
 
         if (existingUser) {
-            return res.status(400).json({ error: 'A user with this name or email already exists.' });
+            throw new ApiError(400, 'A user with this name or email already exists.', { code: 'user_exists' });
         }
 
         // Hash the password
-        const saltRounds = 10; // The cost factor for hashing
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const hashedPassword = await bcrypt.hash(password, config.bcryptRounds);
         
         // Create a new user
         const newUser = await User.create({
             name: name,
             email: email,
             password: hashedPassword,
+            language,
         });
 
+        // The user can ask for another email if this one is not sent
+        try {
+            await sendVerificationEmail(req, newUser);
+        } catch (error) {
+            console.error('Could not send the verification email:', error);
+        }
+
         // Return the created user (excluding the password for security reasons)
         const { id, score } = newUser;
-        res.status(201).json({ id, name, email, score });
+        res.status(201).json({ id, name, email, score, language, email_verified: false });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: 'Failed to register user.' });
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/me:
+ *   patch:
+ *     summary: Update the logged-in user's preferences
+ *     description: >
+ *       Sets the language the API responds to the user in, whatever the Accept-Language header of
+ *       their requests. null follows the header again.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [language]
+ *             properties:
+ *               language:
+ *                 $ref: '#/components/schemas/Language'
+ *     responses:
+ *       200:
+ *         description: The updated user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 email:
+ *                   type: string
+ *                 language:
+ *                   $ref: '#/components/schemas/Language'
+ *                 email_verified:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid language.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: The request was made with an API token rather than a session (session_required).
+ * components:
+ *   schemas:
+ *     Language:
+ *       type: string
+ *       nullable: true
+ *       enum: [en, fa, null]
+ *       description: >
+ *         The language the API responds to the user in; null to follow the Accept-Language header
+ *         of each request.
+ */
+router.patch('/me', authenticateUser, requireSession, validateRequest, async (req, res, next) => {
+    try {
+        await req.user.update({ language: req.body.language });
+
+        const { id, name, email, language, email_verified_at } = req.user;
+        res.status(200).json({ id, name, email, language, email_verified: email_verified_at !== null });
+    } catch (error) {
+        next(error);
     }
 });
 
@@ -226,7 +515,9 @@ router.post('/', async (req, res) => {
  * /api/user/login:
  *   post:
  *     summary: Log in a user
- *     description: Authenticate a user and start a session.
+ *     description: >
+ *       Authenticate a user and start a session. Each IP address may try a limited number of times,
+ *       and failing repeatedly locks the account for a while, for longer after each further failure.
  *     tags:
  *       - Users
  *     requestBody:
@@ -235,6 +526,7 @@ router.post('/', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [email, password]
  *             properties:
  *               email:
  *                 type: string
@@ -256,64 +548,83 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Login successful.
  *       400:
- *         description: Validation error or invalid credentials.
+ *         description: Validation error.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Invalid email or password.
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: >
+ *           No user has this email and password (invalid_credentials). The error does not tell
+ *           which of the two is wrong.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The account is suspended.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Failed to log in.
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login', config.rateLimits.login), validateRequest, async (req, res, next) => {
     try {
         const { email, password } = req.body;
 
-        // Validate required fields
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required.' });
+        const lockEnd = await lockedUntil(email);
+        if (lockEnd) {
+            throw tooManyRequests(res, lockEnd, {
+                code: 'account_locked',
+                message: 'Too many failed logins to this account.',
+            });
         }
 
-        // Find the user by email
+        // Find the user by email, and compare provided password with the stored hashed password
         const user = await User.findOne({ where: { email } });
-        if (!user) {
-            return res.status(404).json({ error: 'User not found.' });
-        }
+        const isPasswordValid = await bcrypt.compare(password, user ? user.password : UNKNOWN_USER_HASH);
 
-        // Compare provided password with the stored hashed password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        // The same error either way, so that it does not tell which emails are registered
+        if (!user || !isPasswordValid) {
+            await recordLoginFailure(email);
+            throw new ApiError(401, 'Invalid email or password.', { code: 'invalid_credentials' });
+        }
+        await recordLoginSuccess(email);
 
-        if (!isPasswordValid) {
-            return res.status(401).json({ error: 'Invalid password.' });
+        if (user.suspended_at) {
+            throw new ApiError(403, 'Your account has been suspended.', { code: 'account_suspended' });
         }
 
-        res.cookie('userId', user.id, {
-            httpOnly: true,
-            secure: false,
-            sameSite: 'Lax',
-        });
+        // Rotate the session id on login to prevent session fixation
+        req.session.regenerate((err) => {
+            if (err) {
+                return next(err);
+            }
 
-        res.cookie('username', user.name, {
-            httpOnly: false,
-            secure: false,
-            sameSite: 'Lax',
-        });
+            req.session.userId = user.id;
+            req.session.sessionVersion = user.session_version;
+            req.session.createdAt = Date.now();
+
+            req.session.save((err) => {
+                if (err) {
+                    return next(err);
+                }
+
+                res.cookie('username', user.name, {
+                    httpOnly: false,
+                    secure: sessionOptions.cookie.secure,
+                    sameSite: sessionOptions.cookie.sameSite,
+                });
 
-        res.status(200).json({ message: 'Login successful.' });
+                res.status(200).json({ message: req.t('Login successful.') });
+            });
+        });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: 'Failed to log in.' });
+        next(error);
     }
 });
 
@@ -341,30 +652,325 @@ router.post('/login', async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', (req, res, next) => {
+    req.session.destroy((err) => {
+        if (err) {
+            return next(err);
+        }
+        res.clearCookie(sessionOptions.name, sessionOptions.cookie);
+        res.clearCookie('username', {
+            httpOnly: false,
+            secure: sessionOptions.cookie.secure,
+            sameSite: sessionOptions.cookie.sameSite,
+        });
+        res.status(200).json({ message: req.t('Logout successful.') });
+    });
+});
+
+/**
+ * @swagger
+ * /api/user/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     description: >
+ *       Invalidate every session of the logged-in user, including the current one, and revoke all
+ *       of their API tokens.
+ *     tags:
+ *       - Users
+ *     responses:
+ *       200:
+ *         description: All sessions were invalidated and all API tokens revoked.
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 message:
  *                   type: string
- *                   example: Failed to log out.
+ *                   example: Logged out from all devices.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: The request was made with an API token rather than a session (session_required).
+ *       500:
+ *         description: Server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', (req, res) => {
+router.post('/logout-all', authenticateUser, requireSession, async (req, res, next) => {
+    try {
+        await sequelize.transaction(async (transaction) => {
+            // Bumping the version invalidates every session that was issued with the old one
+            await req.user.increment('session_version', { transaction });
+            await ApiToken.destroy({ where: { user_id: req.userId }, transaction });
+        });
+    } catch (error) {
+        return next(error);
+    }
+
     req.session.destroy((err) => {
         if (err) {
             console.error(err);
-            return res.status(500).json({ error: 'Failed to log out.' });
         }
-        res.clearCookie('userId', {
-            httpOnly: true,
-            secure: false,
-            sameSite: 'Lax',
-        });    
+        res.clearCookie(sessionOptions.name, sessionOptions.cookie);
         res.clearCookie('username', {
             httpOnly: false,
-            secure: false,
-            sameSite: 'Lax',
-        });    
-        res.status(200).json({ message: 'Logout successful.' });
+            secure: sessionOptions.cookie.secure,
+            sameSite: sessionOptions.cookie.sameSite,
+        });
+        res.status(200).json({ message: req.t('Logged out from all devices.') });
     });
 });
 
+/**
+ * @swagger
+ * /api/user/verify-email:
+ *   post:
+ *     summary: Verify the email address of a user
+ *     description: >
+ *       Verifies the email address of the user a verification email was sent to, with the token of
+ *       its link. A token works once, until it expires or a newer email is sent.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: The email address is verified.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Your email address is verified.
+ *       400:
+ *         description: The token is invalid, expired or already used (invalid_token).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email', validateRequest, async (req, res, next) => {
+    try {
+        await sequelize.transaction(async (transaction) => {
+            const userId = await consumeToken(req.body.token, EMAIL_VERIFICATION, transaction);
+            if (!userId) {
+                throw new ApiError(400, 'This link is invalid or has expired.', { code: 'invalid_token' });
+            }
+            await User.update({ email_verified_at: new Date() }, { where: { id: userId }, transaction });
+        });
+
+        res.status(200).json({ message: req.t('Your email address is verified.') });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/verify-email/resend:
+ *   post:
+ *     summary: Send another verification email
+ *     description: >
+ *       Sends the logged-in user a new link to verify their email address. Links sent before stop
+ *       working.
+ *     tags:
+ *       - Users
+ *     responses:
+ *       202:
+ *         description: The email was sent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: A verification email has been sent.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: The request was made with an API token rather than a session (session_required).
+ *       409:
+ *         description: The email address is already verified (email_already_verified).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post(
+    '/verify-email/resend',
+    authenticateUser,
+    requireSession,
+    rateLimit('email', config.rateLimits.email),
+    async (req, res, next) => {
+        try {
+            if (req.user.email_verified_at) {
+                throw new ApiError(409, 'Your email address is already verified.', { code: 'email_already_verified' });
+            }
+
+            await sendVerificationEmail(req, req.user);
+            res.status(202).json({ message: req.t('A verification email has been sent.') });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/user/forgot-password:
+ *   post:
+ *     summary: Ask for a password reset email
+ *     description: >
+ *       Sends a link to choose a new password to the user with this email address, if there is
+ *       one; see POST /api/user/reset-password. The response is the same either way, so that it
+ *       does not tell which addresses have an account.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: johndoe@example.com
+ *     responses:
+ *       202:
+ *         description: The email was sent, if the address has an account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: If an account uses this email address, a link to reset its password has been sent to it.
+ *       400:
+ *         description: Validation error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/forgot-password', rateLimit('email', config.rateLimits.email), validateRequest, async (req, res, next) => {
+    try {
+        const user = await User.findOne({ where: { email: req.body.email } });
+
+        // Not awaited, so that the time of the response does not tell whether the user exists either
+        if (user) {
+            sendPasswordResetEmail(req, user).catch((error) => {
+                console.error('Could not send the password reset email:', error);
+            });
+        }
+
+        res.status(202).json({
+            message: req.t('If an account uses this email address, a link to reset its password has been sent to it.'),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/user/reset-password:
+ *   post:
+ *     summary: Choose a new password
+ *     description: >
+ *       Sets the password of the user a password reset email was sent to, with the token of its
+ *       link. A token works once, until it expires or a newer email is sent. Every session of the
+ *       user is logged out, their API tokens are revoked, and their email address counts as verified.
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: The new password.
+ *                 example: securepassword123
+ *     responses:
+ *       200:
+ *         description: The password was changed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Your password has been reset. Please log in.
+ *       400:
+ *         description: Validation error, or the token is invalid, expired or already used (invalid_token).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', validateRequest, async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+        const hashedPassword = await bcrypt.hash(password, config.bcryptRounds);
+
+        await sequelize.transaction(async (transaction) => {
+            const userId = await consumeToken(token, PASSWORD_RESET, transaction);
+            if (!userId) {
+                throw new ApiError(400, 'This link is invalid or has expired.', { code: 'invalid_token' });
+            }
+
+            const user = await User.findByPk(userId, { transaction });
+            // Bumping the session version logs out whoever knew the old password
+            await user.update(
+                {
+                    password: hashedPassword,
+                    session_version: user.session_version + 1,
+                    // The user has shown they can read mail sent to the address
+                    email_verified_at: user.email_verified_at || new Date(),
+                },
+                { transaction }
+            );
+            // and so does revoking the API tokens they may have created with it
+            await ApiToken.destroy({ where: { user_id: userId }, transaction });
+        });
+
+        res.status(200).json({ message: req.t('Your password has been reset. Please log in.') });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,71 @@
+// Usage: node scripts/migrate.js <status|up|down|schema> [--to <migration>]
+// Applies and reverts the schema migrations in migrations/:
+//   status  lists the applied and pending migrations
+//   up      applies the pending migrations, or those up to and including --to
+//   down    reverts the last migration, or all of them down to and including --to (0 for all)
+//   schema  writes the schema of the migrated database to db/database-schema.sql
+const fs = require('fs');
+const path = require('path');
+const { QueryTypes } = require('sequelize');
+const sequelize = require('../db');
+const { migrator, assertMigrated } = require('../migrator');
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'db', 'database-schema.sql');
+
+// Tables that are not part of the application schema: SQLite's own, and the shadow tables FTS5
+// keeps the rows of the search index in
+const INTERNAL_TABLES = /^(sqlite_|QuestionSearch_)/;
+
+const printStatus = async () => {
+    const executed = await migrator.executed();
+    const pending = await migrator.pending();
+    executed.forEach((migration) => console.log(`  applied  ${migration.name}`));
+    pending.forEach((migration) => console.log(`  pending  ${migration.name}`));
+    console.log(`${executed.length} applied, ${pending.length} pending.`);
+};
+
+const writeSchema = async () => {
+    await assertMigrated();
+    const rows = await sequelize.query(
+        "SELECT name, sql FROM sqlite_master WHERE sql IS NOT NULL ORDER BY type DESC, name",
+        { type: QueryTypes.SELECT }
+    );
+    const statements = rows.filter((row) => !INTERNAL_TABLES.test(row.name)).map((row) => `${row.sql};`);
+    fs.writeFileSync(SCHEMA_FILE, `-- Generated by "npm run migrate:schema"; do not edit.\n${statements.join('\n')}\n`);
+    console.log(`Wrote ${path.relative(process.cwd(), SCHEMA_FILE)}.`);
+};
+
+(async () => {
+    const [command, ...args] = process.argv.slice(2);
+    const toIndex = args.indexOf('--to');
+    const to = toIndex === -1 ? undefined : args[toIndex + 1];
+
+    try {
+        await sequelize.connected;
+
+        switch (command) {
+            case 'status':
+                await printStatus();
+                break;
+            case 'up':
+                await migrator.up(to ? { to } : {});
+                await printStatus();
+                break;
+            case 'down':
+                await migrator.down(to ? { to: to === '0' ? 0 : to } : {});
+                await printStatus();
+                break;
+            case 'schema':
+                await writeSchema();
+                break;
+            default:
+                console.error('Usage: node scripts/migrate.js <status|up|down|schema> [--to <migration>]');
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close();
+    }
+})();
@@ -0,0 +1,33 @@
+// Usage: node scripts/seed.js <up|down> [--to <seeder>]
+// Adds the sample tags, users and questions of seeders/ to a migrated database, or removes them:
+//   up    runs the seeders not run yet, or those up to and including --to
+//   down  undoes the last seeder, or all of them down to and including --to (0 for all)
+const sequelize = require('../db');
+const { seeder, assertMigrated } = require('../migrator');
+
+(async () => {
+    const [command, ...args] = process.argv.slice(2);
+    const toIndex = args.indexOf('--to');
+    const to = toIndex === -1 ? undefined : args[toIndex + 1];
+
+    try {
+        await assertMigrated();
+
+        switch (command) {
+            case 'up':
+                await seeder.up(to ? { to } : {});
+                break;
+            case 'down':
+                await seeder.down(to ? { to: to === '0' ? 0 : to } : {});
+                break;
+            default:
+                console.error('Usage: node scripts/seed.js <up|down> [--to <seeder>]');
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close();
+    }
+})();
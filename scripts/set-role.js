@@ -0,0 +1,30 @@
+// Usage: node scripts/set-role.js <email> <user|moderator|admin>
+// Bootstraps the first admin, since roles can otherwise only be changed by an existing admin.
+const sequelize = require('../db');
+const { assertMigrated } = require('../migrator');
+const { User } = require('../models');
+const { ROLES } = require('../permissions');
+
+(async () => {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    try {
+        await assertMigrated();
+
+        const user = await User.findOne({ where: { email } });
+        if (!user) {
+            console.error(`User with email "${email}" not found.`);
+            process.exit(1);
+        }
+
+        await user.update({ role });
+        console.log(`${user.name} is now ${role}.`);
+    } finally {
+        await sequelize.close();
+    }
+})();
@@ -0,0 +1,30 @@
+// A small tree of sample tags: two subjects with subtopics, and three top-level tags
+
+const TOP_LEVEL = ['ریاضی', 'علوم', 'تاریخ', 'جغرافیا', 'ادبیات'];
+const CHILDREN = { 'ریاضی': ['جبر', 'هندسه'], 'علوم': ['فیزیک'] };
+const NAMES = [...TOP_LEVEL, ...Object.values(CHILDREN).flat()];
+
+module.exports = {
+    up: async ({ context: { queryInterface, sequelize } }) => {
+        await queryInterface.bulkInsert('Tags', TOP_LEVEL.map((name) => ({ name, question_number: 0 })));
+        await sequelize.query("UPDATE Tags SET path = '/' || id || '/' WHERE name IN (:names)", {
+            replacements: { names: TOP_LEVEL },
+        });
+
+        for (const [parent, children] of Object.entries(CHILDREN)) {
+            const [[{ id, path }]] = await sequelize.query('SELECT id, path FROM Tags WHERE name = ?', {
+                replacements: [parent],
+            });
+            await queryInterface.bulkInsert(
+                'Tags',
+                children.map((name) => ({ name, question_number: 0, parent_id: id }))
+            );
+            await sequelize.query("UPDATE Tags SET path = :path || id || '/' WHERE name IN (:names)", {
+                replacements: { path, names: children },
+            });
+        }
+    },
+    down: async ({ context: { queryInterface } }) => {
+        await queryInterface.bulkDelete('Tags', { name: NAMES });
+    },
+};
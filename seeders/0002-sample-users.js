@@ -0,0 +1,31 @@
+// One user of each role, all with the password "password" and a verified email address
+
+const bcrypt = require('bcrypt');
+const config = require('../config');
+
+const USERS = [
+    { name: 'admin', email: 'admin@example.com', role: 'admin' },
+    { name: 'moderator', email: 'moderator@example.com', role: 'moderator' },
+    { name: 'student', email: 'student@example.com', role: 'user' },
+];
+
+module.exports = {
+    up: async ({ context: { queryInterface } }) => {
+        const password = await bcrypt.hash('password', config.bcryptRounds);
+        await queryInterface.bulkInsert(
+            'Users',
+            USERS.map((user) => ({
+                ...user,
+                password,
+                score: 0,
+                rating: 1500,
+                rated_count: 0,
+                session_version: 0,
+                email_verified_at: new Date(),
+            }))
+        );
+    },
+    down: async ({ context: { queryInterface } }) => {
+        await queryInterface.bulkDelete('Users', { email: USERS.map((user) => user.email) });
+    },
+};
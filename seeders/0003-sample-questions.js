@@ -0,0 +1,135 @@
+// A sample question of every type, written by the sample moderator in the sample tags. The search
+// index picks them up the next time the server starts.
+
+const AUTHOR_EMAIL = 'moderator@example.com';
+
+const QUESTIONS = [
+    {
+        name: 'معادله خطی',
+        question: 'اگر 2x + 3 = 11 باشد، x چند است؟',
+        type: 'single_choice',
+        level: 'easy',
+        tags: ['جبر'],
+        options: [['3', false], ['4', true], ['5', false], ['7', false]],
+    },
+    {
+        name: 'اعداد اول',
+        question: 'کدام یک از اعداد زیر اول هستند؟',
+        type: 'multiple_choice',
+        level: 'medium',
+        tags: ['ریاضی'],
+        options: [['2', true], ['4', false], ['7', true], ['9', false]],
+    },
+    {
+        name: 'زوایای مثلث',
+        question: 'مجموع زوایای داخلی هر مثلث ۱۸۰ درجه است.',
+        type: 'true_false',
+        level: 'easy',
+        tags: ['هندسه'],
+        options: [['درست', true], ['نادرست', false]],
+    },
+    {
+        name: 'مساحت دایره',
+        question: 'مساحت دایره‌ای به شعاع ۲ را تا دو رقم اعشار بنویسید.',
+        type: 'numeric',
+        level: 'hard',
+        tags: ['هندسه'],
+        answer_spec: { value: 12.57, tolerance: 0.01 },
+    },
+    {
+        name: 'یکای نیرو',
+        question: 'یکای نیرو در دستگاه SI چیست؟',
+        type: 'short_answer',
+        level: 'easy',
+        tags: ['فیزیک'],
+        answer_spec: { accepted: ['نیوتن', 'newton'] },
+    },
+    {
+        name: 'ترتیب سلسله‌ها',
+        question: 'سلسله‌های زیر را از قدیم به جدید مرتب کنید.',
+        type: 'ordering',
+        level: 'medium',
+        tags: ['تاریخ'],
+        options: [['صفویه', false], ['هخامنشیان', false], ['ساسانیان', false], ['قاجار', false]],
+        answer_spec: { order: [2, 3, 1, 4] },
+    },
+    {
+        name: 'پایتخت ایران',
+        question: 'پایتخت ایران کدام شهر است؟',
+        type: 'single_choice',
+        level: 'easy',
+        tags: ['جغرافیا'],
+        options: [['اصفهان', false], ['تهران', true], ['شیراز', false], ['تبریز', false]],
+    },
+    {
+        name: 'بلندترین قله',
+        question: 'بلندترین قله ایران کدام است؟',
+        type: 'single_choice',
+        level: 'medium',
+        tags: ['جغرافیا'],
+        options: [['دماوند', true], ['سبلان', false], ['دنا', false], ['علم‌کوه', false]],
+    },
+];
+
+const TAG_NAMES = [...new Set(QUESTIONS.flatMap((question) => question.tags))];
+
+// Tag counters count the questions linked to each tag
+const recountTags = (sequelize) =>
+    sequelize.query(
+        'UPDATE Tags SET question_number = (SELECT COUNT(*) FROM QuestionTags WHERE tag_id = Tags.id) WHERE name IN (:names)',
+        { replacements: { names: TAG_NAMES } }
+    );
+
+const authorId = async (sequelize) => {
+    const [[author]] = await sequelize.query('SELECT id FROM Users WHERE email = ?', { replacements: [AUTHOR_EMAIL] });
+    return author && author.id;
+};
+
+module.exports = {
+    up: async ({ context: { queryInterface, sequelize } }) => {
+        const creatorId = await authorId(sequelize);
+        if (!creatorId) {
+            throw new Error(`The sample questions need the sample user ${AUTHOR_EMAIL}; run 0002-sample-users first.`);
+        }
+
+        for (const { tags, options = [], answer_spec = null, ...question } of QUESTIONS) {
+            await queryInterface.bulkInsert('Questions', [
+                {
+                    ...question,
+                    creator_id: creatorId,
+                    partial_credit: true,
+                    answer_spec: answer_spec && JSON.stringify(answer_spec),
+                    answer_count: 0,
+                    correct_answer_count: 0,
+                    rating: 1500,
+                    rated_count: 0,
+                },
+            ]);
+            const [[{ id }]] = await sequelize.query('SELECT MAX(id) AS id FROM Questions WHERE creator_id = ?', {
+                replacements: [creatorId],
+            });
+
+            if (options.length > 0) {
+                await queryInterface.bulkInsert(
+                    'QuestionOptions',
+                    options.map(([text, is_correct], index) => ({ question_id: id, position: index + 1, text, is_correct }))
+                );
+            }
+            await sequelize.query('INSERT INTO QuestionTags (question_id, tag_id) SELECT ?, id FROM Tags WHERE name IN (?)', {
+                replacements: [id, tags],
+            });
+        }
+
+        await recountTags(sequelize);
+    },
+    down: async ({ context: { queryInterface, sequelize } }) => {
+        const creatorId = await authorId(sequelize);
+        if (creatorId) {
+            await queryInterface.bulkDelete('Questions', {
+                creator_id: creatorId,
+                name: QUESTIONS.map((question) => question.name),
+            });
+        }
+        await recountTags(sequelize);
+    },
+};
@@ -1,52 +1,85 @@
 const express = require('express');
 const cors = require('cors'); // Import CORS
-const setupSwagger = require('./swagger');
+const { setupSwagger } = require('./swagger');
 const cookieParser = require('cookie-parser');
 const userRoutes = require('./routes/users');
+const apiTokenRoutes = require('./routes/apiTokens');
 const tagRoutes = require('./routes/tags');
 const questionRoutes = require('./routes/questions');
-const session = require('express-session');
-const SQLiteStore = require('connect-sqlite3')(session);
+const adminRoutes = require('./routes/admin');
+const quizRoutes = require('./routes/quizzes');
+const leaderboardRoutes = require('./routes/leaderboards');
+const { setupSession } = require('./session');
+const { assertMigrated } = require('./migrator');
+const { notFound, errorHandler } = require('./errors');
+const { localize } = require('./i18n');
+const config = require('./config');
 const app = express();
-const port = process.env.PORT || 9090;
+const port = config.port;
 
 const fs = require('fs')
 
-const outputLog = fs.createWriteStream('./outputLog.log');
-const errorsLog = fs.createWriteStream('./errorsLog.log');
+const outputLog = fs.createWriteStream(config.logs.outputFile);
+const errorsLog = fs.createWriteStream(config.logs.errorFile);
 
 consoler = new console.Console(outputLog, errorsLog);
 
+// Behind a proxy, req.ip and req.secure come from the headers it sets, but only from trusted proxies;
+// otherwise clients could choose the IP address their requests are rate limited by
+app.set('trust proxy', config.trustProxy);
+
 // Middleware to enable CORS
 app.use(cors({
-    origin: 'http://localhost:3000',
+    origin: config.corsOrigins,
     credentials: true, // Allow credentials (cookies)
+    // So that clients can read how long to wait after a 429, and why an API token was rejected
+    exposedHeaders: [
+        'Retry-After',
+        'RateLimit-Limit',
+        'RateLimit-Remaining',
+        'RateLimit-Reset',
+        'WWW-Authenticate',
+    ],
 })); // Enable CORS for all routes
-app.use(express.json());
+
+// Question imports are parsed by their own route, whose files may be larger than other requests
+const IMPORT_PATH = /^\/api\/question\/import\/?$/i;
+const jsonParser = express.json();
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
 app.use(cookieParser());
 
 // Swagger setup
 setupSwagger(app);
 
-// Middleware
-app.use(
-    session({
-        store: new SQLiteStore({ db: 'db/sessions.sqlite' }),
-        secret: 'your-secret-key',
-        resave: false,
-        saveUninitialized: false,
-        cookie: { secure: false },
-    })
-);
+// Session middleware
+setupSession(app);
+
+// Responses in the language of the user or of the Accept-Language header
+app.use(localize);
 
 // Routes
+app.use('/api/user/tokens', apiTokenRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/tag', tagRoutes);
 app.use('/api/question', questionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/quiz', quizRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
+
+// Errors of every route, and requests no route matched, are sent in one format
+app.use('/api', notFound);
+app.use(errorHandler);
 
 
-// Start the server
-app.listen(port, () => {
-    console.log(`Server is running on http://localhost:${port}`);
-    console.log(`API documentation available at http://localhost:${port}/api-docs`);
-});
\ No newline at end of file
+// Start the server, unless the database is missing migrations the code relies on
+assertMigrated()
+    .then(() => {
+        app.listen(port, () => {
+            console.log(`Server is running on http://localhost:${port}`);
+            console.log(`API documentation available at http://localhost:${port}/api-docs`);
+        });
+    })
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,53 @@
+const config = require('../config');
+const { translate, languageOf } = require('../i18n');
+const { sendMail } = require('./mailer');
+const { EMAIL_VERIFICATION, PASSWORD_RESET, issueToken } = require('./userTokens');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const VERIFICATION_TEXT =
+    'Hello {name},\n\nTo verify your email address, open this link:\n{link}\n\n' +
+    'The link expires in {hours} hours. If you did not create an account, you can ignore this email.';
+
+const PASSWORD_RESET_TEXT =
+    'Hello {name},\n\nTo choose a new password, open this link:\n{link}\n\n' +
+    'The link expires in {minutes} minutes and works once. If you did not ask to reset your password, ' +
+    'you can ignore this email; your password has not changed.';
+
+// Emails are written in the language the user chose, else in that of the request that sends them
+const translatorFor = (req, user) => {
+    const language = user.language || languageOf(req);
+    return (message, values) => translate(language, message, values);
+};
+
+// Links open the web app, which sends the token back to the API
+const linkTo = (page, token) => `${config.appUrl}/${page}?token=${encodeURIComponent(token)}`;
+
+// Sends the user a link that verifies their email address, replacing any link sent before
+const sendVerificationEmail = async (req, user) => {
+    const hours = config.tokenLifetimes.emailVerificationHours;
+    const token = await issueToken(user.id, EMAIL_VERIFICATION, hours * HOUR_MS);
+
+    const t = translatorFor(req, user);
+    await sendMail({
+        to: user.email,
+        subject: t('Verify your email address'),
+        text: t(VERIFICATION_TEXT, { name: user.name, link: linkTo('verify-email', token), hours }),
+    });
+};
+
+// Sends the user a link to choose a new password, replacing any link sent before
+const sendPasswordResetEmail = async (req, user) => {
+    const minutes = config.tokenLifetimes.passwordResetMinutes;
+    const token = await issueToken(user.id, PASSWORD_RESET, minutes * MINUTE_MS);
+
+    const t = translatorFor(req, user);
+    await sendMail({
+        to: user.email,
+        subject: t('Reset your password'),
+        text: t(PASSWORD_RESET_TEXT, { name: user.name, link: linkTo('reset-password', token), minutes }),
+    });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
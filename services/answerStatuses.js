@@ -0,0 +1,9 @@
+// The result of a user's scored answer to a question, stored in AnsweredQuestionUser.answered_status
+const CORRECT_STATUS = 'correct';
+const INCORRECT_STATUS = 'incorrect';
+const ANSWER_STATUSES = [CORRECT_STATUS, INCORRECT_STATUS];
+
+// Filters for the questions a user has not answered; never stored
+const UNANSWERED_STATUS = 'unanswered';
+
+module.exports = { CORRECT_STATUS, INCORRECT_STATUS, ANSWER_STATUSES, UNANSWERED_STATUS };
@@ -0,0 +1,80 @@
+const { AnsweredQuestionUser, QuestionAttempt, User } = require('../models');
+const { ApiError } = require('../errors');
+const { gradeAnswer } = require('./grading');
+const { rateAnswer } = require('./rating');
+const { CORRECT_STATUS, INCORRECT_STATUS } = require('./answerStatuses');
+
+/**
+ * Grades a user's answer to a question and records it as an attempt, whether it was given on its
+ * own or in a quiz. Only the user's first answer to a question scores: it is recorded in
+ * AnsweredQuestionUser, counts towards the question's statistics, and changes the user's score and
+ * the ratings. Later answers are only kept as attempts. Run it in a transaction, so that all of
+ * this succeeds or fails together.
+ *
+ * @param {Question} question
+ * @param {QuestionOption[]} options - the options of the question
+ * @param {*} response - the parsed and validated response
+ * @param {object} fields
+ * @param {number} [fields.timeTakenMs]
+ * @param {boolean} [fields.rejectRetry] - reject an answer after the first with already_answered,
+ *   rather than record it without scoring
+ * @returns {Promise<{ correct: boolean, credit: number, attemptNumber: number, scored: boolean, rating?: object }>}
+ */
+const recordAnswer = async (userId, question, options, response, { timeTakenMs, rejectRetry = false }, transaction) => {
+    // Answers recorded before attempts were kept have a record but no attempts
+    const existingRecord = await AnsweredQuestionUser.findOne({
+        where: { user_id: userId, question_id: question.id },
+        transaction,
+    });
+    const previousAttempts = await QuestionAttempt.count({
+        where: { user_id: userId, question_id: question.id },
+        transaction,
+    });
+    const scored = !existingRecord;
+
+    if (!scored && rejectRetry) {
+        throw new ApiError(400, 'This question has already been answered by the user.', { code: 'already_answered' });
+    }
+
+    const { correct, credit } = gradeAnswer(question, options, response);
+    const attemptNumber = Math.max(previousAttempts, existingRecord ? 1 : 0) + 1;
+
+    await QuestionAttempt.create({
+        question_id: question.id,
+        user_id: userId,
+        attempt_number: attemptNumber,
+        response: response,
+        is_correct: correct,
+        credit: credit,
+        scored: scored,
+        time_taken_ms: timeTakenMs,
+    }, { transaction });
+
+    let rating;
+    if (scored) {
+        // Its primary key rejects a second record for the same question
+        await AnsweredQuestionUser.create({
+            user_id: userId,
+            question_id: question.id,
+            answered_status: correct ? CORRECT_STATUS : INCORRECT_STATUS,
+            response: response,
+            credit: credit,
+        }, { transaction });
+
+        await question.increment('answer_count', { transaction });
+        if (correct) {
+            await question.increment('correct_answer_count', { transaction });
+        }
+
+        if (credit > 0) {
+            await User.increment('score', { by: credit, where: { id: userId }, transaction });
+        }
+
+        // Update the ratings of the user and the question from the difficulty of the question
+        rating = await rateAnswer(userId, question.id, credit, transaction);
+    }
+
+    return { correct, credit, attemptNumber, scored, rating };
+};
+
+module.exports = { recordAnswer };
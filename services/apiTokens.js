@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ApiToken, User } = require('../models');
+
+// Tokens start with this, so that they can be recognized, e.g. by secret scanners
+const TOKEN_PREFIX = 'qp_';
+
+// How much of a token is kept to show in lists
+const SHOWN_LENGTH = TOKEN_PREFIX.length + 8;
+
+// last_used_at is written at most this often, rather than on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates an API token for the user. The token itself is returned this once; only its hash is
+ * stored.
+ *
+ * @param {object} fields
+ * @param {string} fields.name
+ * @param {'read'|'author'|'admin'} fields.scope
+ * @param {number|null} fields.expiresInDays - null for a token that does not expire
+ * @returns {Promise<{ apiToken: ApiToken, token: string }>}
+ */
+const createApiToken = async (userId, { name, scope, expiresInDays }) => {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiToken = await ApiToken.create({
+        user_id: userId,
+        name,
+        scope,
+        token_hash: hashToken(token),
+        token_prefix: token.slice(0, SHOWN_LENGTH),
+        expires_at: expiresInDays === null ? null : new Date(Date.now() + expiresInDays * DAY_MS),
+    });
+    return { apiToken, token };
+};
+
+/**
+ * Looks up the API token a request was sent with, and records that it was used.
+ *
+ * @returns {Promise<ApiToken|null>} the token, with its User, or null if it is unknown, revoked or
+ *   expired
+ */
+const useApiToken = async (token) => {
+    const apiToken = await ApiToken.findOne({
+        where: {
+            token_hash: hashToken(token),
+            [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }],
+        },
+        include: [User],
+    });
+    if (!apiToken) {
+        return null;
+    }
+
+    if (!apiToken.last_used_at || Date.now() - apiToken.last_used_at.getTime() >= LAST_USED_PRECISION_MS) {
+        await apiToken.update({ last_used_at: new Date() });
+    }
+    return apiToken;
+};
+
+module.exports = { createApiToken, useApiToken };
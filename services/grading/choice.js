@@ -0,0 +1,91 @@
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 8;
+
+// Turns a submitted answer (a single position or a list of positions) into a sorted list of unique positions
+const parseResponse = (response) => {
+    const values = Array.isArray(response) ? response : [response];
+    const positions = values.map((value) => parseInt(value, 10));
+    if (positions.length === 0 || positions.some((position) => !Number.isInteger(position))) {
+        return null;
+    }
+    return [...new Set(positions)].sort((a, b) => a - b);
+};
+
+const validateOptionTexts = (options) => {
+    if (!Array.isArray(options)) {
+        return 'Options are required.';
+    }
+
+    if (options.some((option) => !option || typeof option.text !== 'string' || !option.text.trim())) {
+        return 'Every option must have a non-empty text.';
+    }
+
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+        return `A question must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options.`;
+    }
+
+    return null;
+};
+
+const validateResponse = (question, { options }, selection) => {
+    if (!selection) {
+        return 'At least one option must be selected.';
+    }
+
+    if (selection.some((position) => position < 1 || position > options.length)) {
+        return `Options must be integers between 1 and ${options.length}.`;
+    }
+
+    if (question.type !== 'multiple_choice' && selection.length !== 1) {
+        return 'Exactly one option must be selected.';
+    }
+
+    return null;
+};
+
+/**
+ * Grades a selection against the correct options.
+ *
+ * Single choice and true/false questions are all or nothing. Multiple choice questions
+ * give partial credit unless `partial_credit` is off: every correct option selected earns
+ * an equal share, every incorrect option selected cancels one share, and the credit never
+ * goes below zero. The answer only counts as correct when exactly the correct options are selected.
+ */
+const grade = (question, { options }, selection) => {
+    const correctPositions = options.filter((option) => option.is_correct).map((option) => option.position);
+
+    const hits = selection.filter((position) => correctPositions.includes(position)).length;
+    const misses = selection.length - hits;
+    const correct = misses === 0 && hits === correctPositions.length;
+
+    if (question.type !== 'multiple_choice' || !question.partial_credit) {
+        return { correct, credit: correct ? 1 : 0 };
+    }
+
+    return { correct, credit: Math.max(0, (hits - misses) / correctPositions.length) };
+};
+
+const choiceGrader = (validateCorrectCount) => ({
+    usesOptions: true,
+    usesAnswerSpec: false,
+    validateDefinition: ({ options }) => validateOptionTexts(options) || validateCorrectCount(options),
+    parseResponse,
+    validateResponse,
+    grade,
+});
+
+const countCorrect = (options) => options.filter((option) => option.is_correct).length;
+
+module.exports = {
+    single_choice: choiceGrader((options) =>
+        countCorrect(options) !== 1 ? 'A single choice question must have exactly one correct option.' : null
+    ),
+    multiple_choice: choiceGrader((options) =>
+        countCorrect(options) < 1 ? 'A multiple choice question must have at least one correct option.' : null
+    ),
+    true_false: choiceGrader((options) =>
+        options.length !== 2 || countCorrect(options) !== 1
+            ? 'A true/false question must have exactly two options, one of them correct.'
+            : null
+    ),
+};
@@ -0,0 +1,83 @@
+const choice = require('./choice');
+const shortAnswer = require('./shortAnswer');
+const numeric = require('./numeric');
+const ordering = require('./ordering');
+
+/**
+ * Graders by question type. A grader is an object with:
+ * - usesOptions: whether the question has options (QuestionOption rows)
+ * - usesAnswerSpec: whether the question stores its answer in `answer_spec`
+ * - validateDefinition({ options, answer_spec }): error message if the question is malformed
+ * - parseResponse(response): the submitted answer in canonical form, or null if unreadable
+ * - validateResponse(question, { options, answer_spec }, response): error message if the answer is invalid
+ * - grade(question, { options, answer_spec }, response): { correct, credit } with credit between 0 and 1
+ */
+const graders = {
+    ...choice,
+    short_answer: shortAnswer,
+    numeric,
+    ordering,
+};
+
+const QUESTION_TYPES = Object.keys(graders);
+
+// Must be called before the models are loaded, since Question.type only accepts registered types
+const registerGrader = (type, grader) => {
+    graders[type] = grader;
+    if (!QUESTION_TYPES.includes(type)) {
+        QUESTION_TYPES.push(type);
+    }
+};
+
+// Only the registered types have a grader, not the properties every object inherits, such as "constructor"
+const getGrader = (type) => (Object.prototype.hasOwnProperty.call(graders, type) ? graders[type] : undefined);
+
+// Returns an error message if the question definition is not valid for its type
+const validateDefinition = (type, { options, answer_spec }) => {
+    const grader = getGrader(type);
+    if (!grader) {
+        return `Type must be one of: ${QUESTION_TYPES.join(', ')}.`;
+    }
+
+    if (!grader.usesOptions && options !== undefined && options.length > 0) {
+        return `Questions of type ${type} do not have options.`;
+    }
+
+    return grader.validateDefinition({ options, answer_spec });
+};
+
+const parseResponse = (question, response) =>
+    response === undefined || response === null ? null : getGrader(question.type).parseResponse(response);
+
+// Returns an error message if the parsed response cannot be an answer to the question
+const validateResponse = (question, options, response) =>
+    getGrader(question.type).validateResponse(question, { options, answer_spec: question.answer_spec }, response);
+
+/**
+ * Grades a response to a question. Responses that cannot be read, e.g. stored responses that
+ * no longer fit an edited question, are graded as incorrect.
+ *
+ * @returns {{ correct: boolean, credit: number }}
+ */
+const gradeAnswer = (question, options, response) => {
+    const grader = getGrader(question.type);
+    const definition = { options, answer_spec: question.answer_spec };
+    const parsed = parseResponse(question, response);
+
+    if (parsed === null || grader.validateResponse(question, definition, parsed)) {
+        return { correct: false, credit: 0 };
+    }
+
+    const { correct, credit } = grader.grade(question, definition, parsed);
+    return { correct, credit: Math.round(credit * 100) / 100 };
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    registerGrader,
+    getGrader,
+    validateDefinition,
+    parseResponse,
+    validateResponse,
+    gradeAnswer,
+};
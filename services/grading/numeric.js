@@ -0,0 +1,37 @@
+const { toAsciiDigits } = require('../persian');
+
+/**
+ * Numeric questions are graded against `answer_spec`: { value: 3.14, tolerance: 0.01 }
+ * An answer is correct if it lies within `tolerance` of `value`, bounds included.
+ */
+module.exports = {
+    usesOptions: false,
+    usesAnswerSpec: true,
+    validateDefinition: ({ answer_spec: spec }) => {
+        if (!spec || typeof spec !== 'object' || !Number.isFinite(spec.value)) {
+            return 'A numeric question requires an answer_spec with a numeric value.';
+        }
+        if (spec.tolerance !== undefined && (!Number.isFinite(spec.tolerance) || spec.tolerance < 0)) {
+            return 'Tolerance must be a non-negative number.';
+        }
+        return null;
+    },
+    parseResponse: (response) => {
+        if (typeof response === 'number') {
+            return Number.isFinite(response) ? response : null;
+        }
+        if (typeof response !== 'string' || !response.trim()) {
+            return null;
+        }
+        const value = Number(toAsciiDigits(response.trim()));
+        return Number.isFinite(value) ? value : null;
+    },
+    validateResponse: (question, definition, response) =>
+        response === null ? 'The answer must be a number.' : null,
+    grade: (question, { answer_spec: spec }, response) => {
+        // Allow for floating point error when the answer sits exactly on a bound
+        const tolerance = (spec.tolerance || 0) + Number.EPSILON * Math.max(1, Math.abs(spec.value));
+        const correct = Math.abs(response - spec.value) <= tolerance;
+        return { correct, credit: correct ? 1 : 0 };
+    },
+};
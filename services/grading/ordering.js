@@ -0,0 +1,52 @@
+const MIN_ITEMS = 2;
+const MAX_ITEMS = 8;
+
+const isPermutation = (positions, length) =>
+    Array.isArray(positions) &&
+    positions.length === length &&
+    new Set(positions).size === length &&
+    positions.every((position) => Number.isInteger(position) && position >= 1 && position <= length);
+
+/**
+ * Ordering questions show their items as options; `answer_spec.order` lists the option
+ * positions in the correct order, e.g. { order: [3, 1, 2] }. Users answer with the positions
+ * in the order they chose. With partial credit, each item in its correct place earns an equal share.
+ */
+module.exports = {
+    usesOptions: true,
+    usesAnswerSpec: true,
+    validateDefinition: ({ options, answer_spec: spec }) => {
+        if (!Array.isArray(options)) {
+            return 'Options are required.';
+        }
+        if (options.some((option) => !option || typeof option.text !== 'string' || !option.text.trim())) {
+            return 'Every option must have a non-empty text.';
+        }
+        if (options.length < MIN_ITEMS || options.length > MAX_ITEMS) {
+            return `An ordering question must have between ${MIN_ITEMS} and ${MAX_ITEMS} items.`;
+        }
+        if (!spec || !isPermutation(spec.order, options.length)) {
+            return 'An ordering question requires an answer_spec whose order lists every option position exactly once.';
+        }
+        return null;
+    },
+    parseResponse: (response) => {
+        if (!Array.isArray(response)) {
+            return null;
+        }
+        return response.map((value) => parseInt(value, 10));
+    },
+    validateResponse: (question, { options }, response) =>
+        isPermutation(response, options.length)
+            ? null
+            : `The answer must list every position from 1 to ${options.length} exactly once.`,
+    grade: (question, { answer_spec: spec }, response) => {
+        const inPlace = response.filter((position, index) => spec.order[index] === position).length;
+        const correct = inPlace === spec.order.length;
+
+        if (!question.partial_credit) {
+            return { correct, credit: correct ? 1 : 0 };
+        }
+        return { correct, credit: inPlace / spec.order.length };
+    },
+};
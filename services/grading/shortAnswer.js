@@ -0,0 +1,196 @@
+const vm = require('vm');
+
+const MAX_ANSWER_LENGTH = 500;
+const MAX_PATTERN_LENGTH = 200;
+// Quantifiers that may repeat more often than this count as unbounded
+const MAX_BOUNDED_REPEATS = 10;
+// Matching a pattern that still takes longer than this is stopped, and the answer is incorrect
+const MATCH_TIMEOUT_MS = 100;
+
+// Patterns are matched in a context of their own, so that matching can be given a time limit
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('pattern.test(answer)');
+
+// Compares answers regardless of surrounding and repeated whitespace, and of case unless case_sensitive is set
+const normalizeText = (text, caseSensitive) => {
+    const normalized = String(text).normalize('NFKC').trim().replace(/\s+/g, ' ');
+    return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+const compilePattern = (spec) =>
+    new RegExp(`^(?:${spec.pattern})$`, spec.case_sensitive ? 'u' : 'iu');
+
+// Whether the whole answer matches the pattern; false if matching takes longer than MATCH_TIMEOUT_MS
+const matchesPattern = (spec, answer) => {
+    matchContext.pattern = compilePattern(spec);
+    matchContext.answer = answer;
+    try {
+        return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) === true;
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            return false;
+        }
+        throw error;
+    } finally {
+        matchContext.pattern = null;
+        matchContext.answer = null;
+    }
+};
+
+// Reads the quantifier at pattern[index], if any, as { end, repeats, unbounded }, where repeats
+// tells whether it may match more than once, and unbounded whether more than MAX_BOUNDED_REPEATS times
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    if (char === '*' || char === '+') {
+        return { end: index + 1, repeats: true, unbounded: true };
+    }
+    if (char === '?') {
+        return { end: index + 1, repeats: false, unbounded: false };
+    }
+    const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!bounds) {
+        return null;
+    }
+    const max = bounds[2] === undefined ? Number(bounds[1]) : bounds[3] === '' ? Infinity : Number(bounds[3]);
+    return { end: index + bounds[0].length, repeats: max > 1, unbounded: max > MAX_BOUNDED_REPEATS };
+};
+
+/**
+ * Whether a pattern is safe to match against users' answers. The regular expressions of
+ * JavaScript backtrack, so a group that is repeated and can itself match the same text in several
+ * ways, such as (a+)+ or (a|ab)*, takes exponential time on answers that almost match, and each
+ * further unbounded quantifier, as in .*.*.*!, multiplies the ways to split an answer. Patterns may
+ * therefore not repeat a group that contains a quantifier or alternatives, use more than one
+ * unbounded quantifier, nor use backreferences, which cannot be matched without backtracking.
+ */
+const isSafePattern = (pattern) => {
+    // For each open group, whether it contains a quantifier or alternatives
+    const groups = [{ ambiguous: false }];
+    let unboundedQuantifiers = 0;
+    let index = 0;
+
+    while (index < pattern.length) {
+        const char = pattern[index];
+        let atomEnd = index + 1;
+        let closed = null;
+
+        if (char === '\\') {
+            const escaped = pattern[index + 1];
+            if (/[1-9]/.test(escaped) || escaped === 'k') {
+                return false;
+            }
+            // \p{...} and \u{...} hold braces that are not a quantifier
+            const braced = /^[pPu]\{[^}]*\}/.exec(pattern.slice(index + 1));
+            atomEnd = index + 1 + (braced ? braced[0].length : 1);
+        } else if (char === '[') {
+            // Skip the character class, whose characters have no special meaning here
+            atomEnd = index + 1;
+            while (atomEnd < pattern.length && pattern[atomEnd] !== ']') {
+                atomEnd += pattern[atomEnd] === '\\' ? 2 : 1;
+            }
+            atomEnd += 1;
+        } else if (char === '(') {
+            groups.push({ ambiguous: false });
+            const prefix = /^\((?:\?(?::|=|!|<=|<!|<[^>]*>))?/.exec(pattern.slice(index));
+            index += prefix[0].length;
+            continue;
+        } else if (char === ')') {
+            closed = groups.length > 1 ? groups.pop() : { ambiguous: false };
+        } else if (char === '|') {
+            groups[groups.length - 1].ambiguous = true;
+            index += 1;
+            continue;
+        }
+
+        const quantifier = readQuantifier(pattern, atomEnd);
+        if (quantifier) {
+            if (closed && closed.ambiguous && quantifier.repeats) {
+                return false;
+            }
+            if (quantifier.unbounded) {
+                unboundedQuantifiers += 1;
+                if (unboundedQuantifiers > 1) {
+                    return false;
+                }
+            }
+            groups[groups.length - 1].ambiguous = true;
+            // A lazy quantifier is followed by ?
+            index = pattern[quantifier.end] === '?' ? quantifier.end + 1 : quantifier.end;
+        } else {
+            if (closed && closed.ambiguous) {
+                groups[groups.length - 1].ambiguous = true;
+            }
+            index = atomEnd;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Short answer questions are graded against `answer_spec`:
+ * { accepted: ['...'], pattern: '...', case_sensitive: false }
+ * An answer is correct if it matches any accepted answer after normalization, or the whole
+ * normalized answer matches the optional regular expression, which must be safe to match (see
+ * isSafePattern) and is given MATCH_TIMEOUT_MS to match.
+ */
+module.exports = {
+    usesOptions: false,
+    usesAnswerSpec: true,
+    validateDefinition: ({ answer_spec: spec }) => {
+        if (!spec || typeof spec !== 'object') {
+            return 'A short answer question requires an answer_spec.';
+        }
+
+        const accepted = spec.accepted || [];
+        if (!Array.isArray(accepted) || accepted.some((answer) => typeof answer !== 'string' || !answer.trim())) {
+            return 'Accepted answers must be non-empty strings.';
+        }
+
+        if (spec.pattern !== undefined) {
+            if (typeof spec.pattern !== 'string' || !spec.pattern || spec.pattern.length > MAX_PATTERN_LENGTH) {
+                return `Pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters.`;
+            }
+            try {
+                compilePattern(spec);
+            } catch (error) {
+                return 'Pattern must be a valid regular expression.';
+            }
+            if (!isSafePattern(spec.pattern)) {
+                return 'Pattern must not repeat a group that contains a quantifier or alternatives, use more than one unbounded quantifier, nor use backreferences.';
+            }
+        }
+
+        if (accepted.length === 0 && !spec.pattern) {
+            return 'A short answer question requires at least one accepted answer or a pattern.';
+        }
+
+        return null;
+    },
+    parseResponse: (response) => {
+        if (typeof response !== 'string' && typeof response !== 'number') {
+            return null;
+        }
+        return String(response);
+    },
+    validateResponse: (question, definition, response) => {
+        if (response === null || !response.trim()) {
+            return 'An answer is required.';
+        }
+        if (response.length > MAX_ANSWER_LENGTH) {
+            return `Answers must be at most ${MAX_ANSWER_LENGTH} characters long.`;
+        }
+        return null;
+    },
+    grade: (question, { answer_spec: spec }, response) => {
+        const caseSensitive = Boolean(spec.case_sensitive);
+        const answer = normalizeText(response, caseSensitive);
+
+        const correct =
+            (spec.accepted || []).some((accepted) => normalizeText(accepted, caseSensitive) === answer) ||
+            // Patterns saved before unsafe ones were rejected are not matched
+            (Boolean(spec.pattern) && isSafePattern(spec.pattern) && matchesPattern(spec, answer));
+
+        return { correct, credit: correct ? 1 : 0 };
+    },
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+const { ApiError } = require('../errors');
+
+// Its format is checked by the request validation, from the swagger definition of the header
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// How long a result is kept; a retry after that is handled as a new request
+const KEY_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+const requestHash = (req) =>
+    crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body)}`)
+        .digest('hex');
+
+/**
+ * Looks up the result of an earlier request of the user with the same key.
+ *
+ * @returns {Promise<{ status: number, body: object, replayed?: boolean } | null>} the stored
+ *   result, marked as replayed, or null if the key has not been used
+ * @throws {ApiError} 422 if the key was used for a different request
+ */
+const findStoredResult = async (req, key, transaction) => {
+    const stored = await IdempotencyKey.findOne({
+        where: {
+            user_id: req.userId,
+            key,
+            created_at: { [Op.gte]: new Date(Date.now() - KEY_LIFETIME_MS) },
+        },
+        transaction,
+    });
+    if (!stored) {
+        return null;
+    }
+
+    if (stored.request_hash !== requestHash(req)) {
+        throw new ApiError(422, `This ${IDEMPOTENCY_HEADER} was already used for a different request.`, {
+            code: 'idempotency_key_reused',
+        });
+    }
+    return { status: stored.status_code, body: stored.response, replayed: true };
+};
+
+// Stores the result of a request for its retries, and forgets the results that have expired
+const storeResult = async (req, key, { status, body }, transaction) => {
+    await IdempotencyKey.destroy({
+        where: { created_at: { [Op.lt]: new Date(Date.now() - KEY_LIFETIME_MS) } },
+        transaction,
+    });
+    await IdempotencyKey.create(
+        { user_id: req.userId, key, request_hash: requestHash(req), status_code: status, response: body },
+        { transaction }
+    );
+};
+
+module.exports = { IDEMPOTENCY_HEADER, findStoredResult, storeResult };
@@ -0,0 +1,117 @@
+const { QueryTypes } = require('sequelize');
+const sequelize = require('../db');
+const { answerCreditSql } = require('./questions');
+
+const PERIODS = ['all', 'week', 'month'];
+const PERIOD_DAYS = { week: 7, month: 30 };
+
+// Competition ranking gives tied users the same rank and skips the ranks after them (1, 2, 2, 4);
+// dense ranking does not skip any (1, 2, 2, 3)
+const RANKINGS = { competition: 'RANK', dense: 'DENSE_RANK' };
+
+const DEFAULT_NEIGHBOURS = 2;
+const MAX_NEIGHBOURS = 10;
+
+// Points earned by every scored answer, with its time. Answers in quizzes are recorded here too,
+// so these add up to the users' scores.
+const EARNED_POINTS = `
+    SELECT answers.user_id AS user_id, answers.question_id AS question_id,
+        ${answerCreditSql('answers')} AS points, answers.answered_at AS answered_at
+    FROM AnsweredQuestionUsers AS answers`;
+
+/**
+ * Builds the query of a leaderboard as a common table expression named "board", with one row per
+ * user on the board: id, name, score, rank and position, their 1-based place in the board order.
+ *
+ * The all-time board of all questions ranks every user by their score. The other boards only add
+ * up the points of the answers in the period or to questions with the tag, and only hold users
+ * who earned any; answers recorded before answers were timestamped count for all-time boards only.
+ * Scores are rounded to hundredths, so that partial credits adding up to the same score tie.
+ */
+const boardQuery = ({ period, tag, includeDescendants, ranking }) => {
+    const replacements = {};
+    let scores;
+    if (period === 'all' && !tag) {
+        scores = 'SELECT id AS user_id, ROUND(score, 2) AS score FROM Users';
+    } else {
+        const conditions = [];
+        if (period !== 'all') {
+            conditions.push('events.answered_at >= :since');
+            replacements.since = new Date(Date.now() - PERIOD_DAYS[period] * 24 * 60 * 60 * 1000);
+        }
+        if (tag) {
+            conditions.push(
+                'events.question_id IN (SELECT QuestionTags.question_id FROM QuestionTags' +
+                    ' JOIN Tags ON Tags.id = QuestionTags.tag_id' +
+                    (includeDescendants ? " WHERE Tags.path LIKE :path || '%')" : ' WHERE Tags.id = :tagId)')
+            );
+            replacements.path = tag.path;
+            replacements.tagId = tag.id;
+        }
+        scores = `SELECT events.user_id AS user_id, ROUND(SUM(events.points), 2) AS score
+            FROM (${EARNED_POINTS}) AS events
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY events.user_id`;
+    }
+
+    const sql = `WITH scores AS (${scores}),
+        board AS (
+            SELECT Users.id AS id, Users.name AS name, scores.score AS score,
+                ${RANKINGS[ranking]}() OVER (ORDER BY scores.score DESC) AS rank,
+                ROW_NUMBER() OVER (ORDER BY scores.score DESC, Users.id) AS position
+            FROM scores
+            JOIN Users ON Users.id = scores.user_id
+        )`;
+    return { sql, replacements };
+};
+
+const withoutPosition = ({ position, ...entry }) => entry;
+
+/**
+ * Fetches a page of a leaderboard, and the standing of a user on it.
+ *
+ * @param {{ period: string, tag?: Tag, includeDescendants?: boolean, ranking: string }} board -
+ *   period is one of PERIODS and ranking a key of RANKINGS; tag limits the board to its questions
+ * @param {{ userId: number, neighbours: number, limit: number, offset: number }} options
+ * @returns {Promise<{ total: number, entries: object[], current_user: object|null }>} entries and
+ *   the current user have id, name, score and rank; the current user also has the users right above
+ *   and below them, and is null if they are not on the board
+ */
+const fetchLeaderboard = async (board, { userId, neighbours, limit, offset }) => {
+    const { sql, replacements } = boardQuery(board);
+
+    const [{ total }] = await sequelize.query(`${sql} SELECT COUNT(*) AS total FROM board`, {
+        replacements,
+        type: QueryTypes.SELECT,
+    });
+
+    const entries = await sequelize.query(`${sql} SELECT * FROM board ORDER BY position LIMIT :limit OFFSET :offset`, {
+        replacements: { ...replacements, limit, offset },
+        type: QueryTypes.SELECT,
+    });
+
+    const [me] = await sequelize.query(`${sql} SELECT * FROM board WHERE id = :userId`, {
+        replacements: { ...replacements, userId },
+        type: QueryTypes.SELECT,
+    });
+
+    let currentUser = null;
+    if (me) {
+        const around = await sequelize.query(
+            `${sql} SELECT * FROM board WHERE position BETWEEN :first AND :last AND id <> :userId ORDER BY position`,
+            {
+                replacements: { ...replacements, userId, first: me.position - neighbours, last: me.position + neighbours },
+                type: QueryTypes.SELECT,
+            }
+        );
+        currentUser = {
+            ...withoutPosition(me),
+            above: around.filter((entry) => entry.position < me.position).map(withoutPosition),
+            below: around.filter((entry) => entry.position > me.position).map(withoutPosition),
+        };
+    }
+
+    return { total, entries: entries.map(withoutPosition), current_user: currentUser };
+};
+
+module.exports = { PERIODS, RANKINGS, DEFAULT_NEIGHBOURS, MAX_NEIGHBOURS, fetchLeaderboard };
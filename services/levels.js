@@ -0,0 +1,8 @@
+// Difficulty levels of questions and quizzes, from easiest to hardest. The codes are stored and
+// sent; clients show them by the label in the language of the response, see i18n.js
+const LEVELS = ['easy', 'medium', 'hard'];
+
+// The level of questions created without one
+const DEFAULT_LEVEL = 'easy';
+
+module.exports = { LEVELS, DEFAULT_LEVEL };
@@ -0,0 +1,42 @@
+const config = require('../config');
+const { getRateLimitStore } = require('./rateLimits');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed logins are counted for a day from the first, so repeated lockouts keep growing longer
+const FAILURE_WINDOW_MS = 24 * 60 * MINUTE_MS;
+
+// Accounts are locked by the email that was tried, whether or not a user has it, so that a locked
+// account does not tell that the email is registered
+const accountOf = (email) => email.trim().toLowerCase();
+const failuresKey = (email) => `login-failures:${accountOf(email)}`;
+const lockKey = (email) => `login-lock:${accountOf(email)}`;
+
+// When the lockout of the account ends, or null if it is not locked
+const lockedUntil = async (email) => {
+    const lock = await getRateLimitStore().get(lockKey(email));
+    return lock && lock.resetAt;
+};
+
+/**
+ * Counts a failed login to the account. From LOGIN_LOCKOUT_THRESHOLD failures on, each failure
+ * locks the account: for LOGIN_LOCKOUT_MINUTES the first time, and twice as long each time after,
+ * up to LOGIN_LOCKOUT_MAX_MINUTES.
+ */
+const recordLoginFailure = async (email) => {
+    const store = getRateLimitStore();
+    const { count } = await store.increment(failuresKey(email), FAILURE_WINDOW_MS);
+
+    const { threshold, minutes, maxMinutes } = config.loginLockout;
+    if (count >= threshold) {
+        const lockMinutes = Math.min(minutes * 2 ** (count - threshold), maxMinutes);
+        await store.increment(lockKey(email), lockMinutes * MINUTE_MS);
+    }
+};
+
+// A successful login forgets the failures before it
+const recordLoginSuccess = async (email) => {
+    await getRateLimitStore().reset(failuresKey(email));
+};
+
+module.exports = { lockedUntil, recordLoginFailure, recordLoginSuccess };
@@ -0,0 +1,27 @@
+const config = require('../../config');
+const outbox = require('./outbox');
+const smtp = require('./smtp');
+
+/**
+ * Mail is sent through the transport chosen by MAIL_TRANSPORT. A transport is created from the
+ * mail configuration, and is an object with:
+ * - send({ from, to, subject, text }): a promise that resolves once the message is sent
+ *
+ * `outbox` writes each message to a file instead of sending it, so that mail works offline, and
+ * tests and developers can read the links it contains; `smtp` sends it through SMTP_URL.
+ */
+const transports = { outbox, smtp };
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = transports[config.mail.transport](config.mail);
+    }
+    return transport;
+};
+
+// Sends a plain text message from MAIL_FROM
+const sendMail = ({ to, subject, text }) => getTransport().send({ from: config.mail.from, to, subject, text });
+
+module.exports = { sendMail };
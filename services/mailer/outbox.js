@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message to a JSON file of the outbox directory, named so that they sort by time
+const outbox = ({ outboxDir }) => ({
+    send: async (message) => {
+        const date = new Date();
+        const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify({ ...message, date }, null, 2));
+    },
+});
+
+module.exports = outbox;
@@ -0,0 +1,37 @@
+// Persian and Arabic-Indic digits, and the Arabic decimal separator
+const DIGIT_MAP = {
+    '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4', '۵': '5', '۶': '6', '۷': '7', '۸': '8', '۹': '9',
+    '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9',
+    '٫': '.',
+};
+
+// Arabic letters that Arabic keyboards produce in place of the Persian ones
+const LETTER_MAP = {
+    'ي': 'ی',
+    'ى': 'ی',
+    'ك': 'ک',
+};
+
+// Harakat, superscript alef and tatweel, which only change how a word is drawn
+const DIACRITICS = /[\u064B-\u065F\u0670\u0640]/g;
+
+// Zero-width spaces, (non-)joiners and direction marks, the byte order mark and soft hyphens
+const INVISIBLES = /[\u200B-\u200F\uFEFF\u00AD]/g;
+
+const toAsciiDigits = (text) => text.replace(/[۰-۹٠-٩٫]/g, (char) => DIGIT_MAP[char]);
+
+/**
+ * Normalizes Persian text so that spellings a reader sees as the same compare equal: Arabic ye
+ * and kaf become Persian ones, digits become ASCII, and diacritics and zero-width characters are
+ * removed. Removing the zero-width non-joiner writes "می‌روم" as "میروم", the way it is often typed.
+ */
+const normalizePersian = (text) =>
+    toAsciiDigits(
+        String(text)
+            .normalize('NFKC')
+            .replace(/[يىك]/g, (char) => LETTER_MAP[char])
+            .replace(DIACRITICS, '')
+            .replace(INVISIBLES, '')
+    );
+
+module.exports = { toAsciiDigits, normalizePersian };
@@ -0,0 +1,205 @@
+/**
+ * Questions as CSV, one question per row after a header row, as spreadsheets save them:
+ *
+ * name, question, type, level, tags, option1..option8, correct, answer_spec, partial_credit, retry_policy
+ *
+ * Tags are separated by "|", `correct` lists the positions of the correct options separated by
+ * commas (for a true/false question without options, 1 for true and 2 for false), and
+ * `answer_spec` is JSON. Columns may come in any order, and only `question` is required.
+ */
+
+const MAX_OPTIONS = 8;
+const OPTION_COLUMNS = Array.from({ length: MAX_OPTIONS }, (_, index) => `option${index + 1}`);
+const COLUMNS = [
+    'name',
+    'question',
+    'type',
+    'level',
+    'tags',
+    ...OPTION_COLUMNS,
+    'correct',
+    'answer_spec',
+    'partial_credit',
+    'retry_policy',
+];
+const TAG_SEPARATOR = '|';
+
+// Excel only reads a UTF-8 file as UTF-8, rather than the system code page, if it starts with a byte order mark
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * Splits CSV text into rows of fields, following RFC 4180: fields may be quoted, quoted fields may
+ * hold commas, line breaks and doubled quotes, and lines end with CRLF or LF.
+ *
+ * @returns {{ fields: string[], row: number }[] | { error: string }} row is the 1-based row number,
+ *   as a spreadsheet shows it
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index += 1;
+            }
+            fields.push(field);
+            rows.push({ fields, row: rows.length + 1 });
+            fields = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: `Row ${rows.length + 1}: a quoted field is not closed.` };
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ fields, row: rows.length + 1 });
+    }
+    return rows;
+};
+
+const parseBoolean = (value) => {
+    const normalized = value.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) {
+        return true;
+    }
+    if (['false', '0', 'no'].includes(normalized)) {
+        return false;
+    }
+    return undefined;
+};
+
+// Builds a question record from the cells of a row, by column name
+const toRecord = (cells) => {
+    const record = {};
+    ['name', 'question', 'type', 'level', 'retry_policy'].forEach((column) => {
+        if (cells[column]) {
+            record[column] = cells[column].trim();
+        }
+    });
+
+    if (cells.tags) {
+        record.tags = cells.tags.split(TAG_SEPARATOR).map((tag) => tag.trim()).filter(Boolean);
+    }
+
+    const correct = (cells.correct || '').split(',').map((position) => position.trim()).filter(Boolean);
+    if (correct.some((position) => !/^\d+$/.test(position))) {
+        return { error: 'correct must list option positions separated by commas.' };
+    }
+
+    const texts = OPTION_COLUMNS.map((column) => cells[column] || '');
+    const count = texts.reduce((last, text, index) => (text.trim() ? index + 1 : last), 0);
+    if (count > 0) {
+        record.options = texts.slice(0, count).map((text, index) => ({
+            text: text.trim(),
+            is_correct: correct.includes(String(index + 1)),
+        }));
+    } else if (correct.length === 1) {
+        record.correct_option = Number(correct[0]);
+    }
+
+    if (cells.answer_spec && cells.answer_spec.trim()) {
+        try {
+            record.answer_spec = JSON.parse(cells.answer_spec);
+        } catch (error) {
+            return { error: 'answer_spec must be valid JSON.' };
+        }
+    }
+
+    if (cells.partial_credit && cells.partial_credit.trim()) {
+        record.partial_credit = parseBoolean(cells.partial_credit);
+        if (record.partial_credit === undefined) {
+            return { error: 'partial_credit must be true or false.' };
+        }
+    }
+
+    return { record };
+};
+
+const quote = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCells = (record) => {
+    const options = record.options || [];
+    return [
+        record.name,
+        record.question,
+        record.type,
+        record.level,
+        record.tags.join(TAG_SEPARATOR),
+        ...OPTION_COLUMNS.map((_, index) => (options[index] ? options[index].text : '')),
+        options
+            .map((option, index) => (option.is_correct ? index + 1 : null))
+            .filter((position) => position !== null)
+            .join(','),
+        record.answer_spec ? JSON.stringify(record.answer_spec) : '',
+        record.partial_credit,
+        record.retry_policy,
+    ];
+};
+
+module.exports = {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    parse: (text) => {
+        const rows = parseRows(text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text);
+        if (rows.error) {
+            return rows;
+        }
+
+        const nonEmpty = rows.filter(({ fields }) => fields.some((field) => field.trim()));
+        if (nonEmpty.length === 0) {
+            return { error: 'The file is empty.' };
+        }
+
+        const [header, ...body] = nonEmpty;
+        const columns = header.fields.map((column) => column.trim().toLowerCase());
+        if (!columns.includes('question')) {
+            return { error: 'The header row must have a question column.' };
+        }
+        const unknown = columns.filter((column) => column && !COLUMNS.includes(column));
+        if (unknown.length > 0) {
+            return { error: `Unknown columns: ${unknown.join(', ')}. Columns are: ${COLUMNS.join(', ')}.` };
+        }
+
+        return {
+            rows: body.map(({ fields, row }) => {
+                const cells = {};
+                columns.forEach((column, index) => {
+                    cells[column] = fields[index];
+                });
+                return { row, ...toRecord(cells) };
+            }),
+        };
+    },
+    format: (entries) => {
+        const lines = [COLUMNS, ...entries.map((entry) => toCells(entry.record))].map((cells) =>
+            cells.map(quote).join(',')
+        );
+        return { body: `${BYTE_ORDER_MARK}${lines.join('\r\n')}\r\n`, skipped: [] };
+    },
+};
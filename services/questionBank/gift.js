@@ -0,0 +1,321 @@
+const { TRUE_FALSE_LABELS } = require('../questions');
+
+/**
+ * Questions in Moodle's GIFT format. Questions are separated by blank lines, and each one is
+ * written as `::title::text{answers}`:
+ *
+ * - `{T}` or `{F}`: a true/false question
+ * - `{=right ~wrong ~wrong}`: a single choice question
+ * - `{~%50%right ~%50%right ~%-100%wrong}`: a multiple choice question; options with a positive
+ *   weight are correct
+ * - `{=answer =other answer}`: a short answer question
+ * - `{#3.14:0.01}` or `{#3.13..3.15}`: a numeric question, with an optional tolerance or range
+ *
+ * Text after the answers makes a missing word question, whose blank is written "_____". Feedback
+ * after `#` is dropped, and matching and essay questions are not supported.
+ *
+ * Tags come from the last part of the current `$CATEGORY`. Moodle ignores comments, so the fields
+ * GIFT has no place for are written as comments before a question and read back on import:
+ * `// level: easy`, `// tags: algebra, geometry`, `// partial_credit: false` and `// retry_policy: practice`.
+ */
+
+const META_KEYS = ['level', 'tags', 'partial_credit', 'retry_policy'];
+const META_COMMENT = /^\/\/\s*([a-z_]+)\s*:(.*)$/;
+const SPECIAL_CHARACTERS = /[\\~=#{}:]/g;
+const MAX_NAME_LENGTH = 80;
+
+// Index of the first occurrence of `needle` that is not escaped with a backslash, or -1
+const findUnescaped = (text, needle, from = 0) => {
+    for (let index = from; index < text.length; index += 1) {
+        if (text[index] === '\\') {
+            index += 1;
+        } else if (text.startsWith(needle, index)) {
+            return index;
+        }
+    }
+    return -1;
+};
+
+const unescape = (text) => text.replace(/\\(.)/gs, (_, char) => (char === 'n' ? '\n' : char));
+
+const escape = (text) => String(text).replace(SPECIAL_CHARACTERS, '\\$&').replace(/\r?\n/g, '\\n');
+
+// Drops the feedback that may follow an answer after "#"
+const withoutFeedback = (text) => {
+    const index = findUnescaped(text, '#');
+    return (index === -1 ? text : text.slice(0, index)).trim();
+};
+
+// Splits the answers of a question at every unescaped "=" or "~" into { marker, weight, text }
+const splitAnswers = (answers) => {
+    const items = [];
+    for (let index = 0; index < answers.length; index += 1) {
+        if (answers[index] === '\\') {
+            index += 1;
+        } else if (answers[index] === '=' || answers[index] === '~') {
+            items.push({ marker: answers[index], start: index + 1 });
+        }
+    }
+
+    return items.map((item, index) => {
+        const end = index + 1 < items.length ? items[index + 1].start - 1 : answers.length;
+        let text = answers.slice(item.start, end).trim();
+        let weight = null;
+        const weightMatch = /^%(-?\d+(?:\.\d+)?)%/.exec(text);
+        if (weightMatch) {
+            weight = Number(weightMatch[1]);
+            text = text.slice(weightMatch[0].length);
+        }
+        return { marker: item.marker, weight, raw: text, text: unescape(withoutFeedback(text)) };
+    });
+};
+
+const parseNumber = (text) => {
+    const value = Number(text.trim());
+    return text.trim() && Number.isFinite(value) ? value : null;
+};
+
+// The answer_spec of a numeric question from "value", "value:tolerance" or "min..max"
+const parseNumericAnswer = (answers) => {
+    let answer = answers;
+    const items = splitAnswers(answers);
+    if (items.length > 1) {
+        return { error: 'Numeric questions with several answers are not supported.' };
+    }
+    if (items.length === 1) {
+        answer = items[0].raw;
+    }
+    answer = withoutFeedback(answer);
+
+    const range = answer.split('..');
+    if (range.length === 2) {
+        const [min, max] = range.map(parseNumber);
+        if (min === null || max === null || min > max) {
+            return { error: 'A numeric range must be written min..max.' };
+        }
+        return { answer_spec: { value: (min + max) / 2, tolerance: (max - min) / 2 } };
+    }
+
+    const [value, tolerance, ...rest] = answer.split(':').map(parseNumber);
+    if (value === null || rest.length > 0 || tolerance === null) {
+        return { error: 'A numeric answer must be written value or value:tolerance.' };
+    }
+    return { answer_spec: tolerance === undefined ? { value } : { value, tolerance } };
+};
+
+// Builds the type, options and answer_spec of a question from the text between its braces
+const parseAnswers = (answers) => {
+    if (!answers) {
+        return { error: 'Essay questions are not supported.' };
+    }
+
+    const trueFalse = /^(T|TRUE|F|FALSE)$/i.exec(withoutFeedback(answers));
+    if (trueFalse) {
+        const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+        return {
+            type: 'true_false',
+            options: TRUE_FALSE_LABELS.map((text, index) => ({ text, is_correct: isTrue === (index === 0) })),
+        };
+    }
+
+    if (answers.startsWith('#')) {
+        const numeric = parseNumericAnswer(answers.slice(1).trim());
+        return numeric.error ? numeric : { type: 'numeric', ...numeric };
+    }
+
+    const items = splitAnswers(answers);
+    if (items.length === 0) {
+        return { error: 'Answers must start with "=" or "~".' };
+    }
+    if (items.some((item) => findUnescaped(item.raw, '->') !== -1)) {
+        return { error: 'Matching questions are not supported.' };
+    }
+
+    if (items.every((item) => item.marker === '=')) {
+        return {
+            type: 'short_answer',
+            answer_spec: {
+                accepted: items.filter((item) => item.weight === null || item.weight === 100).map((item) => item.text),
+            },
+        };
+    }
+
+    const weighted = items.some((item) => item.weight !== null);
+    const options = items.map((item) => ({
+        text: item.text,
+        is_correct: item.marker === '=' || (item.weight !== null && item.weight > 0),
+    }));
+    return {
+        type: weighted || options.filter((option) => option.is_correct).length > 1 ? 'multiple_choice' : 'single_choice',
+        options,
+    };
+};
+
+// A name for a question without a title: the start of its first line
+const nameFrom = (question) => {
+    const firstLine = question.split('\n')[0].trim();
+    return firstLine.length > MAX_NAME_LENGTH ? `${firstLine.slice(0, MAX_NAME_LENGTH - 1)}…` : firstLine;
+};
+
+const parseQuestion = (text, meta, category) => {
+    let rest = text.trim();
+    let title = null;
+    if (rest.startsWith('::')) {
+        const end = findUnescaped(rest, '::', 2);
+        if (end === -1) {
+            return { error: 'The title is not closed with "::".' };
+        }
+        title = unescape(rest.slice(2, end)).trim();
+        rest = rest.slice(end + 2).trim();
+    }
+
+    const open = findUnescaped(rest, '{');
+    const close = open === -1 ? -1 : findUnescaped(rest, '}', open + 1);
+    if (open === -1 || close === -1) {
+        return { error: 'The answers must be written between "{" and "}".' };
+    }
+
+    const stem = unescape(rest.slice(0, open).replace(/^\[(html|moodle|plain|markdown)\]/, '')).trim();
+    const after = unescape(rest.slice(close + 1)).trim();
+    const question = after ? `${stem} _____ ${after}` : stem;
+
+    const answers = parseAnswers(rest.slice(open + 1, close).trim());
+    if (answers.error) {
+        return answers;
+    }
+
+    const record = { name: title || nameFrom(question), question, ...answers };
+    if (meta.tags) {
+        record.tags = meta.tags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    } else if (category) {
+        record.tags = [category];
+    }
+    if (meta.level) {
+        record.level = meta.level;
+    }
+    if (meta.partial_credit) {
+        record.partial_credit = meta.partial_credit !== 'false';
+    }
+    if (meta.retry_policy) {
+        record.retry_policy = meta.retry_policy;
+    }
+    return { record };
+};
+
+const parse = (text) => {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const rows = [];
+    let category = null;
+    let meta = {};
+    let block = null;
+
+    const finishBlock = () => {
+        if (block) {
+            rows.push({ row: block.row, ...parseQuestion(block.lines.join('\n'), block.meta, block.category) });
+            block = null;
+        }
+    };
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('//')) {
+            const match = META_COMMENT.exec(trimmed);
+            if (match && META_KEYS.includes(match[1])) {
+                meta[match[1]] = match[2].trim();
+            }
+        } else if (!trimmed) {
+            finishBlock();
+        } else if (!block && trimmed.startsWith('$CATEGORY:')) {
+            const path = trimmed.slice('$CATEGORY:'.length).split('/').map((part) => part.trim()).filter(Boolean);
+            category = path.length > 0 ? path[path.length - 1] : null;
+        } else {
+            if (!block) {
+                block = { row: index + 1, lines: [], meta, category };
+                meta = {};
+            }
+            block.lines.push(line);
+        }
+    });
+    finishBlock();
+
+    if (rows.length === 0) {
+        return { error: 'The file has no questions.' };
+    }
+    return { rows };
+};
+
+const formatWeight = (weight) => String(Math.round(weight * 100000) / 100000);
+
+// The answers of a question between braces, or { skipped } with the reason it has no GIFT form
+const formatAnswers = (record) => {
+    const options = record.options || [];
+    switch (record.type) {
+        case 'true_false':
+            if (options.every((option, index) => option.text === TRUE_FALSE_LABELS[index])) {
+                return { answers: options[0].is_correct ? '{T}' : '{F}' };
+            }
+            break;
+        case 'single_choice':
+            break;
+        case 'multiple_choice': {
+            const share = 100 / options.filter((option) => option.is_correct).length;
+            const lines = options.map(
+                (option) => `\t~%${formatWeight(option.is_correct ? share : -share)}%${escape(option.text)}`
+            );
+            return { answers: `{\n${lines.join('\n')}\n}` };
+        }
+        case 'short_answer':
+            if (record.answer_spec.pattern || record.answer_spec.case_sensitive) {
+                return { skipped: 'GIFT short answers cannot have a pattern or be case sensitive.' };
+            }
+            return { answers: `{${record.answer_spec.accepted.map((answer) => `=${escape(answer)}`).join(' ')}}` };
+        case 'numeric': {
+            const { value, tolerance } = record.answer_spec;
+            return { answers: tolerance ? `{#${value}:${tolerance}}` : `{#${value}}` };
+        }
+        default:
+            return { skipped: `GIFT has no ${record.type} questions.` };
+    }
+
+    const lines = options.map((option) => `\t${option.is_correct ? '=' : '~'}${escape(option.text)}`);
+    return { answers: `{\n${lines.join('\n')}\n}` };
+};
+
+const format = (entries) => {
+    const blocks = [];
+    const skipped = [];
+    let category = null;
+
+    entries.forEach(({ id, record }) => {
+        const { answers, skipped: reason } = formatAnswers(record);
+        if (reason) {
+            skipped.push({ id, reason });
+            return;
+        }
+
+        const lines = [];
+        if (record.tags[0] !== category) {
+            category = record.tags[0];
+            lines.push(`$CATEGORY: ${category}`, '');
+        }
+        lines.push(`// level: ${record.level}`, `// tags: ${record.tags.join(', ')}`);
+        if (!record.partial_credit) {
+            lines.push('// partial_credit: false');
+        }
+        if (record.retry_policy) {
+            lines.push(`// retry_policy: ${record.retry_policy}`);
+        }
+        lines.push(`::${escape(record.name)}::${escape(record.question)}${answers}`);
+        blocks.push(lines.join('\n'));
+    });
+
+    const notes = skipped.map(({ id, reason }) => `// Question ${id} was not exported: ${reason}`);
+    return { body: `${[...notes, ...blocks].join('\n\n')}\n`, skipped };
+};
+
+module.exports = {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'gift',
+    parse,
+    format,
+};
@@ -0,0 +1,161 @@
+const sequelize = require('../../db');
+const { Question } = require('../../models');
+const { codeOfLabel } = require('../../i18n');
+const { validateDefinition, getGrader } = require('../grading');
+const { parseOptions, createQuestion } = require('../questions');
+const { validateTagNames, findTags, createTags } = require('../tags');
+const { RETRY_POLICIES } = require('../retries');
+const { normalizePersian } = require('../persian');
+const { LEVELS } = require('../levels');
+
+const MAX_IMPORT_QUESTIONS = 1000;
+const DUPLICATE_ACTIONS = ['skip', 'import'];
+
+// Questions count as duplicates if they have the same type and the same text, regardless of case,
+// whitespace and Persian spelling variants
+const duplicateKey = (type, text) =>
+    `${type}:${normalizePersian(text).toLowerCase().trim().replace(/\s+/g, ' ')}`;
+
+/**
+ * Validates a question record and fills in the defaults.
+ *
+ * @returns {{ fields: object, options?: object[], tagNames: string[] } | { error: string }}
+ */
+const validateRecord = (record, defaults) => {
+    const { name, question, type = 'single_choice', partial_credit = true, answer_spec, retry_policy = null } = record;
+    // Files exported before levels were stored as codes hold their Persian labels
+    const level = codeOfLabel('level', record.level || defaults.level);
+    const tagNames = record.tags && record.tags.length > 0 ? record.tags : defaults.tags;
+
+    if (typeof name !== 'string' || !name.trim() || typeof question !== 'string' || !question.trim()) {
+        return { error: 'name and question are required.' };
+    }
+    if (!LEVELS.includes(level)) {
+        return { error: `level must be one of: ${LEVELS.join(', ')}.` };
+    }
+
+    const tagsError = validateTagNames(tagNames);
+    if (tagsError) {
+        return { error: tagsError };
+    }
+
+    if (retry_policy !== null && !RETRY_POLICIES.includes(retry_policy)) {
+        return { error: `Retry policy must be one of: ${RETRY_POLICIES.join(', ')}.` };
+    }
+    if (typeof partial_credit !== 'boolean') {
+        return { error: 'partial_credit must be true or false.' };
+    }
+
+    const options = parseOptions(record, type);
+    const definitionError = validateDefinition(type, { options, answer_spec });
+    if (definitionError) {
+        return { error: definitionError };
+    }
+
+    return {
+        fields: {
+            name: name.trim(),
+            question: question.trim(),
+            type,
+            partial_credit,
+            answer_spec: getGrader(type).usesAnswerSpec ? answer_spec : null,
+            level,
+            retry_policy,
+        },
+        options,
+        tagNames: [...new Set(tagNames.map((tagName) => tagName.trim()))],
+    };
+};
+
+/**
+ * Validates the questions read from a file and, unless it is a dry run, creates the valid ones in
+ * a single transaction. Rows with errors are reported and left out; so are duplicates of existing
+ * questions or of earlier rows, unless onDuplicate is "import".
+ *
+ * @param {{ row: number, record?: object, error?: string }[]} rows - as parsed by a format
+ * @param {object} options
+ * @param {number} options.userId - the creator of the imported questions
+ * @param {boolean} options.dryRun - only validate, without creating anything
+ * @param {boolean} options.createTags - create the tags that do not exist, rather than rejecting
+ *   the rows that name them
+ * @param {'skip'|'import'} options.onDuplicate
+ * @param {{ level?: string, tags?: string[] }} options.defaults - for records without a level or tags
+ * @returns {Promise<object>} the import report
+ */
+const importQuestions = async (rows, { userId, dryRun, createTags: createMissingTags, onDuplicate, defaults }) => {
+    const errors = [];
+    const valid = [];
+    rows.forEach(({ row, record, error }) => {
+        const result = error ? { error } : validateRecord(record, defaults);
+        if (result.error) {
+            errors.push({ row, error: result.error });
+        } else {
+            valid.push({ row, ...result });
+        }
+    });
+
+    const { tags, missing } = await findTags(valid.flatMap((item) => item.tagNames));
+    const withTags = createMissingTags
+        ? valid
+        : valid.filter((item) => {
+            const unknown = item.tagNames.filter((tagName) => missing.includes(tagName));
+            if (unknown.length > 0) {
+                errors.push({ row: item.row, error: `Tags not found: ${unknown.map((tagName) => `"${tagName}"`).join(', ')}.` });
+            }
+            return unknown.length === 0;
+        });
+
+    const existing = await Question.findAll({
+        where: { type: [...new Set(withTags.map((item) => item.fields.type))] },
+        attributes: ['id', 'question', 'type'],
+    });
+    const existingIds = new Map(existing.map((question) => [duplicateKey(question.type, question.question), question.id]));
+    const seenRows = new Map();
+    const duplicates = [];
+    const accepted = withTags.filter((item) => {
+        const key = duplicateKey(item.fields.type, item.fields.question);
+        const duplicate = existingIds.has(key)
+            ? { row: item.row, existing_id: existingIds.get(key) }
+            : seenRows.has(key) && { row: item.row, duplicate_of_row: seenRows.get(key) };
+        if (!seenRows.has(key)) {
+            seenRows.set(key, item.row);
+        }
+        if (duplicate) {
+            duplicates.push(duplicate);
+        }
+        return !duplicate || onDuplicate === 'import';
+    });
+
+    const neededTags = missing.filter((tagName) => accepted.some((item) => item.tagNames.includes(tagName)));
+    const report = {
+        dry_run: dryRun,
+        total: rows.length,
+        imported: accepted.length,
+        created_tags: neededTags,
+        errors: errors.sort((a, b) => a.row - b.row),
+        duplicates,
+        questions: accepted.map((item) => ({ row: item.row, id: null })),
+    };
+    if (dryRun || accepted.length === 0) {
+        return report;
+    }
+
+    report.questions = await sequelize.transaction(async (transaction) => {
+        const createdTags = await createTags(neededTags, transaction);
+        const tagIds = new Map([...tags, ...createdTags].map((tag) => [tag.name, tag.id]));
+
+        const created = [];
+        for (const item of accepted) {
+            const question = await createQuestion(
+                { ...item.fields, creator_id: userId },
+                { options: item.options, tagIds: item.tagNames.map((tagName) => tagIds.get(tagName)) },
+                transaction
+            );
+            created.push({ row: item.row, id: question.id });
+        }
+        return created;
+    });
+    return report;
+};
+
+module.exports = { MAX_IMPORT_QUESTIONS, DUPLICATE_ACTIONS, importQuestions };
@@ -0,0 +1,51 @@
+const json = require('./json');
+const csv = require('./csv');
+const gift = require('./gift');
+const { getGrader } = require('../grading');
+
+/**
+ * Formats of the question bank files, by name. A format is an object with:
+ * - contentType and extension: of the exported files
+ * - parse(text): { rows: [{ row, record } or { row, error }] } with row the 1-based row, line or
+ *   index of the question in the file, or { error } if the file cannot be read at all
+ * - format(entries): { body, skipped } from a list of { id, record }; skipped lists the
+ *   { id, reason } of the questions the format cannot hold
+ *
+ * Records have the fields of a question in `POST /api/question`: name, question, type, level,
+ * tags, options, answer_spec, partial_credit and retry_policy.
+ */
+const FORMATS = { json, csv, gift };
+
+// The format of an uploaded file, from the format parameter or else the Content-Type
+const detectFormat = (format, contentType = '') => {
+    if (format) {
+        return FORMATS[format] ? format : null;
+    }
+    if (/json/.test(contentType)) {
+        return 'json';
+    }
+    if (/csv/.test(contentType)) {
+        return 'csv';
+    }
+    return null;
+};
+
+// The record of a question loaded with its Tags, and its options if it has any
+const questionToRecord = (question, options) => {
+    const grader = getGrader(question.type);
+    return {
+        name: question.name,
+        question: question.question,
+        type: question.type,
+        level: question.level,
+        tags: question.Tags.map((tag) => tag.name),
+        ...(grader.usesOptions
+            ? { options: options.map((option) => ({ text: option.text, is_correct: option.is_correct })) }
+            : {}),
+        ...(grader.usesAnswerSpec ? { answer_spec: question.answer_spec } : {}),
+        partial_credit: question.partial_credit,
+        retry_policy: question.retry_policy,
+    };
+};
+
+module.exports = { FORMATS, detectFormat, questionToRecord };
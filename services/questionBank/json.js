@@ -0,0 +1,33 @@
+/**
+ * Questions as a JSON array of records, or an object whose `questions` is that array. Records
+ * have the fields of a question in `POST /api/question`.
+ */
+module.exports = {
+    contentType: 'application/json',
+    extension: 'json',
+    parse: (text) => {
+        let data;
+        try {
+            data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            return { error: `The file is not valid JSON: ${error.message}` };
+        }
+
+        const records = Array.isArray(data) ? data : data && data.questions;
+        if (!Array.isArray(records)) {
+            return { error: 'The file must hold an array of questions, or an object with a questions array.' };
+        }
+
+        return {
+            rows: records.map((record, index) =>
+                record && typeof record === 'object' && !Array.isArray(record)
+                    ? { row: index + 1, record }
+                    : { row: index + 1, error: 'A question must be an object.' }
+            ),
+        };
+    },
+    format: (entries) => ({
+        body: `${JSON.stringify({ questions: entries.map((entry) => entry.record) }, null, 2)}\n`,
+        skipped: [],
+    }),
+};
@@ -0,0 +1,160 @@
+const sequelize = require('../db');
+const { Question, QuestionOption, RelatedQuestion } = require('../models');
+const { ApiError } = require('../errors');
+const { setQuestionTags } = require('./tags');
+const { indexQuestion } = require('./search');
+const { CORRECT_STATUS } = require('./answerStatuses');
+
+const LEGACY_OPTION_FIELDS = ['option1', 'option2', 'option3', 'option4'];
+const TRUE_FALSE_LABELS = ['درست', 'نادرست'];
+
+/**
+ * Builds the option list of a question from a request body. Options are given either as
+ * `options` ([{ text, is_correct }]) or, for backward compatibility, as option1..option4 with
+ * a `correct_option`. A true/false question may give only `correct_option` (1 for true, 2 for false).
+ *
+ * @returns {Array|undefined} the options with their positions, or undefined if none were given
+ */
+const parseOptions = (body, type) => {
+    if (Array.isArray(body.options)) {
+        return body.options.map((option, index) => ({
+            position: index + 1,
+            text: option && option.text,
+            is_correct: Boolean(option && option.is_correct),
+        }));
+    }
+
+    if (body.options !== undefined) {
+        return body.options; // Rejected by validateDefinition
+    }
+
+    if (LEGACY_OPTION_FIELDS.some((field) => body[field] !== undefined)) {
+        return LEGACY_OPTION_FIELDS.map((field, index) => ({
+            position: index + 1,
+            text: body[field],
+            is_correct: Number(body.correct_option) === index + 1,
+        }));
+    }
+
+    if (type === 'true_false' && body.correct_option !== undefined) {
+        return TRUE_FALSE_LABELS.map((text, index) => ({
+            position: index + 1,
+            text,
+            is_correct: Number(body.correct_option) === index + 1,
+        }));
+    }
+
+    return undefined;
+};
+
+// The answer submitted in a request body: `answer` for any type, `options` or `option` for questions with options
+const readResponse = (body) => {
+    if (body.answer !== undefined) {
+        return body.answer;
+    }
+    return body.options !== undefined ? body.options : body.option;
+};
+
+const loadOptions = (questionId, transaction) =>
+    QuestionOption.findAll({
+        where: { question_id: questionId },
+        order: [['position', 'ASC']],
+        transaction,
+    });
+
+const replaceOptions = async (questionId, options, transaction) => {
+    await QuestionOption.destroy({ where: { question_id: questionId }, transaction });
+    await QuestionOption.bulkCreate(
+        options.map(({ position, text, is_correct }) => ({ question_id: questionId, position, text, is_correct })),
+        { transaction }
+    );
+};
+
+/**
+ * Links a question to the given related questions, replacing its current links. Repeated ids and
+ * the question's own id are left out.
+ *
+ * @throws {ApiError} 404 naming the ids of the related questions that do not exist
+ */
+const setRelatedQuestions = async (questionId, relatedIds, transaction) => {
+    const ids = [...new Set(relatedIds.map(Number))].filter((id) => id !== questionId);
+
+    const found = await Question.findAll({ where: { id: ids }, attributes: ['id'], transaction });
+    const foundIds = new Set(found.map((question) => question.id));
+    const missing = ids.filter((id) => !foundIds.has(id));
+    if (missing.length > 0) {
+        throw new ApiError(404, `Related questions not found: ${missing.join(', ')}.`, {
+            code: 'related_question_not_found',
+            missing_ids: missing,
+        });
+    }
+
+    await RelatedQuestion.destroy({ where: { question_id: questionId }, transaction });
+    await RelatedQuestion.bulkCreate(
+        ids.map((relatedId) => ({ question_id: questionId, related_id: relatedId })),
+        { transaction }
+    );
+};
+
+/**
+ * Creates a question with its options, tags and related questions, and indexes it for search.
+ *
+ * @param {object} fields - the validated columns of the question, e.g. creator_id, name, question,
+ *   type, level and answer_spec
+ * @param {{ options?: object[], tagIds: number[], relatedIds?: number[] }} links - options as
+ *   returned by parseOptions, and the ids of existing tags and questions
+ * @param {Transaction} transaction
+ * @returns {Promise<Question>}
+ */
+const createQuestion = async (fields, { options, tagIds, relatedIds }, transaction) => {
+    const question = await Question.create(fields, { transaction });
+
+    if (options) {
+        await replaceOptions(question.id, options, transaction);
+    }
+
+    await setQuestionTags(question.id, tagIds, transaction);
+
+    if (relatedIds && relatedIds.length > 0) {
+        await setRelatedQuestions(question.id, relatedIds, transaction);
+    }
+
+    await indexQuestion(question.id, transaction);
+    return question;
+};
+
+// Options as shown to users; which options are correct is only revealed when allowed
+const formatOptions = (options, revealAnswers) =>
+    options.map((option) => ({
+        position: option.position,
+        text: option.text,
+        ...(revealAnswers ? { is_correct: option.is_correct } : {}),
+    }));
+
+// Everything grading depends on; answers only need re-grading when this changes
+const answerKey = (question, options) =>
+    JSON.stringify([
+        question.type,
+        question.partial_credit,
+        question.answer_spec,
+        options.filter((option) => option.is_correct).map((option) => option.position),
+        options.length,
+    ]);
+
+// SQL for the credit of an AnsweredQuestionUsers row; answers recorded before partial credit
+// existed have no credit and are worth 0 or 1
+const answerCreditSql = (alias) =>
+    `COALESCE(${alias}.credit, CASE WHEN ${alias}.answered_status = ${sequelize.escape(CORRECT_STATUS)} THEN 1 ELSE 0 END)`;
+
+module.exports = {
+    TRUE_FALSE_LABELS,
+    parseOptions,
+    readResponse,
+    loadOptions,
+    replaceOptions,
+    setRelatedQuestions,
+    createQuestion,
+    formatOptions,
+    answerKey,
+    answerCreditSql,
+};
@@ -0,0 +1,29 @@
+const config = require('../../config');
+const memory = require('./memory');
+const sqlite = require('./sqlite');
+
+/**
+ * Requests are counted in fixed windows: a key's window starts with its first request, lasts the
+ * window length of its limit, and the next request after it ends starts a new one. The counts are
+ * kept by the store chosen by RATE_LIMIT_STORE, which is created from the rate limit configuration
+ * and is an object with:
+ * - increment(key, windowMs): counts a request, and resolves to the current window of the key
+ * - get(key): resolves to the current window of the key, or null if it has none
+ * - reset(key): ends the current window of the key
+ *
+ * A window is { count, resetAt }: the number of requests in it, and when it ends, in milliseconds
+ * since the epoch. `memory` keeps them in the process, so each process counts on its own; `sqlite`
+ * keeps them in RATE_LIMIT_STORAGE, which every process on the machine shares.
+ */
+const stores = { memory, sqlite };
+
+let store = null;
+
+const getRateLimitStore = () => {
+    if (!store) {
+        store = stores[config.rateLimits.store](config.rateLimits);
+    }
+    return store;
+};
+
+module.exports = { getRateLimitStore };
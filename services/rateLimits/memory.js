@@ -0,0 +1,44 @@
+// How often the windows that have ended are forgotten
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Keeps the windows in a map of the process
+const memory = () => {
+    const windows = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, SWEEP_INTERVAL_MS);
+    // The sweep alone does not keep the process running
+    sweep.unref();
+
+    const current = (key) => {
+        const window = windows.get(key);
+        return window && window.resetAt > Date.now() ? window : null;
+    };
+
+    return {
+        increment: async (key, windowMs) => {
+            let window = current(key);
+            if (!window) {
+                window = { count: 0, resetAt: Date.now() + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { ...window };
+        },
+        get: async (key) => {
+            const window = current(key);
+            return window && { ...window };
+        },
+        reset: async (key) => {
+            windows.delete(key);
+        },
+    };
+};
+
+module.exports = memory;
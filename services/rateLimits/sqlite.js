@@ -0,0 +1,62 @@
+const sqlite3 = require('sqlite3');
+
+// How often the windows that have ended are deleted
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Keeps the windows in a table of their own database file, which processes share
+const sqlite = ({ storage }) => {
+    const db = new sqlite3.Database(storage);
+    // Other processes may be writing; wait for them rather than fail
+    db.configure('busyTimeout', 5000);
+
+    const query = (method, sql, params = {}) =>
+        new Promise((resolve, reject) => {
+            db[method](sql, params, (error, result) => (error ? reject(error) : resolve(result)));
+        });
+
+    const ready = query(
+        'run',
+        'CREATE TABLE IF NOT EXISTS rate_limits (key TEXT PRIMARY KEY, count INTEGER NOT NULL, reset_at INTEGER NOT NULL)'
+    );
+    const run = async (method, sql, params) => {
+        await ready;
+        return query(method, sql, params);
+    };
+
+    const sweep = setInterval(() => {
+        run('run', 'DELETE FROM rate_limits WHERE reset_at <= $now', { $now: Date.now() }).catch((error) => {
+            console.error('Could not delete the rate limit windows that have ended:', error);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        // One statement, so that concurrent requests of several processes are all counted
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            const row = await run(
+                'get',
+                `INSERT INTO rate_limits (key, count, reset_at) VALUES ($key, 1, $resetAt)
+                ON CONFLICT (key) DO UPDATE SET
+                    count = CASE WHEN reset_at > $now THEN count + 1 ELSE 1 END,
+                    reset_at = CASE WHEN reset_at > $now THEN reset_at ELSE excluded.reset_at END
+                RETURNING count, reset_at`,
+                { $key: key, $resetAt: now + windowMs, $now: now }
+            );
+            return { count: row.count, resetAt: row.reset_at };
+        },
+        get: async (key) => {
+            const row = await run(
+                'get',
+                'SELECT count, reset_at FROM rate_limits WHERE key = $key AND reset_at > $now',
+                { $key: key, $now: Date.now() }
+            );
+            return row ? { count: row.count, resetAt: row.reset_at } : null;
+        },
+        reset: async (key) => {
+            await run('run', 'DELETE FROM rate_limits WHERE key = $key', { $key: key });
+        },
+    };
+};
+
+module.exports = sqlite;
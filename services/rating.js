@@ -0,0 +1,81 @@
+const { User, Question } = require('../models');
+
+// Ratings move fast while they rest on few answers, then settle
+const PROVISIONAL_K = 40;
+const ESTABLISHED_K = 16;
+const PROVISIONAL_ANSWERS = 20;
+
+// A question's level is derived from its rating once this many answers have calibrated it
+const CALIBRATION_ANSWERS = 20;
+
+// Upper rating bounds of the easy and medium levels; harder questions are difficult
+const LEVEL_BOUNDS = [
+    { level: 'easy', below: 1400 },
+    { level: 'medium', below: 1600 },
+];
+const HARDEST_LEVEL = 'hard';
+
+const kFactor = (ratedCount) => (ratedCount < PROVISIONAL_ANSWERS ? PROVISIONAL_K : ESTABLISHED_K);
+
+// Probability that a user of the given rating answers a question of the given difficulty correctly
+const expectedScore = (userRating, questionRating) => 1 / (1 + 10 ** ((questionRating - userRating) / 400));
+
+const round = (rating) => Math.round(rating * 100) / 100;
+
+/**
+ * Updates the ratings of a user and a question after the user answered it, as if they had played
+ * an Elo game: the user wins with a correct answer, and partial credit counts as a partial win.
+ * A question whose users keep failing it thus rises in difficulty, and a user who answers hard
+ * questions gains more than one who answers easy ones.
+ * Ratings are not recalculated when an answer is regraded or removed, as every update depends on
+ * the ratings at the time of the answer.
+ *
+ * @param {number} userId
+ * @param {number} questionId
+ * @param {number} credit - the graded credit of the answer, from 0 to 1
+ * @param {Transaction} [transaction]
+ * @returns {Promise<{ user_rating: number, question_rating: number, rating_change: number }>}
+ */
+const rateAnswer = async (userId, questionId, credit, transaction) => {
+    const user = await User.findByPk(userId, { attributes: ['id', 'rating', 'rated_count'], transaction });
+    const question = await Question.findByPk(questionId, {
+        attributes: ['id', 'rating', 'rated_count'],
+        transaction,
+    });
+
+    const expected = expectedScore(user.rating, question.rating);
+    const userRating = round(user.rating + kFactor(user.rated_count) * (credit - expected));
+    const questionRating = round(question.rating + kFactor(question.rated_count) * (expected - credit));
+    const ratingChange = round(userRating - user.rating);
+
+    await user.update({ rating: userRating, rated_count: user.rated_count + 1 }, { transaction });
+    await question.update({ rating: questionRating, rated_count: question.rated_count + 1 }, { transaction });
+
+    return {
+        user_rating: userRating,
+        question_rating: questionRating,
+        rating_change: ratingChange,
+    };
+};
+
+/**
+ * The level derived from a question's rating, or null while too few answers have calibrated it.
+ */
+const calibratedLevel = (question) => {
+    if (question.rated_count < CALIBRATION_ANSWERS) {
+        return null;
+    }
+    const bound = LEVEL_BOUNDS.find(({ below }) => question.rating < below);
+    return bound ? bound.level : HARDEST_LEVEL;
+};
+
+// The level to show for a question: the calibrated one once there is one, else the author's
+const displayedLevel = (question) => calibratedLevel(question) || question.level;
+
+module.exports = {
+    CALIBRATION_ANSWERS,
+    expectedScore,
+    rateAnswer,
+    calibratedLevel,
+    displayedLevel,
+};
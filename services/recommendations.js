@@ -0,0 +1,115 @@
+const { Op, QueryTypes } = require('sequelize');
+const sequelize = require('../db');
+const { Question, Tag } = require('../models');
+const { displayedLevel } = require('./rating');
+const { answerCreditSql } = require('./questions');
+
+const DEFAULT_EXPLORATION = 0.2;
+
+// Number of unanswered questions, drawn at random, that recommendations are chosen from
+const CANDIDATE_POOL = 500;
+
+// Weight, in answers, of the prior guesses below; observed answers outweigh them quickly
+const PRIOR_WEIGHT = 3;
+
+// Share of users expected to answer a question of each level correctly, before it has answers
+const LEVEL_SUCCESS = { easy: 0.8, medium: 0.6, hard: 0.4 };
+
+// Accuracy assumed for a user with no answers at all
+const DEFAULT_ACCURACY = 0.5;
+
+const EARNED = answerCreditSql('answers');
+
+const smoothed = (earned, answered, prior) => (earned + PRIOR_WEIGHT * prior) / (answered + PRIOR_WEIGHT);
+
+// The user's accuracy overall and in each tag they have answered questions of
+const loadAccuracy = async (userId) => {
+    const [overall] = await sequelize.query(
+        `SELECT COUNT(*) AS answered, COALESCE(SUM(${EARNED}), 0) AS earned
+        FROM AnsweredQuestionUsers AS answers
+        WHERE answers.user_id = ?`,
+        { replacements: [userId], type: QueryTypes.SELECT }
+    );
+    const overallAccuracy = smoothed(overall.earned, overall.answered, DEFAULT_ACCURACY);
+
+    const rows = await sequelize.query(
+        `SELECT QuestionTags.tag_id AS tag_id, COUNT(*) AS answered, SUM(${EARNED}) AS earned
+        FROM AnsweredQuestionUsers AS answers
+        JOIN QuestionTags ON QuestionTags.question_id = answers.question_id
+        WHERE answers.user_id = ?
+        GROUP BY QuestionTags.tag_id`,
+        { replacements: [userId], type: QueryTypes.SELECT }
+    );
+    const byTag = new Map(rows.map((row) => [row.tag_id, smoothed(row.earned, row.answered, overallAccuracy)]));
+
+    return { overall: overallAccuracy, byTag };
+};
+
+// Share of users who answered the question correctly, starting from a guess based on its level
+const successRate = (question) =>
+    smoothed(question.correct_answer_count, question.answer_count, LEVEL_SUCCESS[displayedLevel(question)]);
+
+/**
+ * Picks unanswered questions for a user. Most are the questions whose observed success rate is
+ * closest to the user's accuracy in their tags, so the user is neither bored nor overwhelmed; the
+ * share given by `exploration` goes to questions in tags the user has not answered yet.
+ *
+ * @param {number} userId
+ * @param {{ limit: number, exploration?: number }} options - exploration is between 0 and 1
+ * @returns {Promise<{ question: Question, reason: 'skill_match'|'new_tag', expected_accuracy: number,
+ *   success_rate: number }[]>} best matches first; questions are loaded with their Tags
+ */
+const recommendQuestions = async (userId, { limit, exploration = DEFAULT_EXPLORATION }) => {
+    const accuracy = await loadAccuracy(userId);
+
+    const candidates = await Question.findAll({
+        where: {
+            creator_id: { [Op.ne]: userId },
+            id: {
+                [Op.notIn]: sequelize.literal(
+                    `(SELECT question_id FROM AnsweredQuestionUsers WHERE user_id = ${sequelize.escape(userId)})`
+                ),
+            },
+        },
+        include: [{ model: Tag, through: { attributes: [] } }],
+        order: sequelize.random(),
+        limit: CANDIDATE_POOL,
+    });
+
+    const scored = candidates.map((question) => {
+        const seenTags = question.Tags.filter((tag) => accuracy.byTag.has(tag.id));
+        const expectedAccuracy = seenTags.length > 0
+            ? seenTags.reduce((sum, tag) => sum + accuracy.byTag.get(tag.id), 0) / seenTags.length
+            : accuracy.overall;
+        const rate = successRate(question);
+        return {
+            question,
+            reason: seenTags.length > 0 ? 'skill_match' : 'new_tag',
+            expected_accuracy: expectedAccuracy,
+            success_rate: rate,
+            distance: Math.abs(rate - expectedAccuracy),
+        };
+    });
+    scored.sort((a, b) => a.distance - b.distance);
+
+    // Reserve the exploration share for new tags, then fill the rest with the best matches,
+    // whatever their tags, so that a short supply of either kind does not shorten the list
+    const exploring = scored.filter((item) => item.reason === 'new_tag').slice(0, Math.round(limit * exploration));
+    const picked = new Set(exploring);
+    for (const item of scored) {
+        if (picked.size >= limit) {
+            break;
+        }
+        picked.add(item);
+    }
+
+    return scored
+        .filter((item) => picked.has(item))
+        .map(({ distance, ...item }) => ({
+            ...item,
+            expected_accuracy: Math.round(item.expected_accuracy * 100) / 100,
+            success_rate: Math.round(item.success_rate * 100) / 100,
+        }));
+};
+
+module.exports = { DEFAULT_EXPLORATION, recommendQuestions };
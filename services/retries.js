@@ -0,0 +1,12 @@
+const config = require('../config');
+
+// How a question treats answers after the first: "single" rejects them, and "practice" records
+// them without changing the score or ratings, so users can practise questions they got wrong
+const RETRY_POLICIES = ['single', 'practice'];
+
+// The policy of questions that do not set their own
+const DEFAULT_RETRY_POLICY = config.retryPolicy;
+
+const retryPolicyOf = (question) => question.retry_policy || DEFAULT_RETRY_POLICY;
+
+module.exports = { RETRY_POLICIES, DEFAULT_RETRY_POLICY, retryPolicyOf };
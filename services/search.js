@@ -0,0 +1,210 @@
+const { QueryTypes } = require('sequelize');
+const sequelize = require('../db');
+const { assertMigrated } = require('../migrator');
+const { Question, QuestionOption, Tag } = require('../models');
+const { normalizePersian } = require('./persian');
+
+const MAX_QUERY_TERMS = 10;
+
+// Relevance weights of the indexed columns: a match in the name counts most, one in an option least
+const WEIGHTS = { name: 10, question: 4, options: 2, tags: 3 };
+
+// Private use characters mark the matches in snippets until the text has been HTML-escaped
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+// The search index is the FTS5 table QuestionSearch, created by a migration, with one row per
+// question whose rowid is the question id. It holds normalized text, so that a query matches
+// regardless of how Persian letters were typed.
+const indexQuestion = async (questionId, transaction) => {
+    const question = await Question.findByPk(questionId, {
+        include: [{ model: Tag }, { model: QuestionOption, as: 'options' }],
+        order: [[{ model: QuestionOption, as: 'options' }, 'position', 'ASC']],
+        transaction,
+    });
+
+    await removeQuestion(questionId, transaction);
+    if (!question) {
+        return;
+    }
+
+    await sequelize.query(
+        'INSERT INTO QuestionSearch (rowid, name, question, options, tags) VALUES (?, ?, ?, ?, ?)',
+        {
+            replacements: [
+                question.id,
+                normalizePersian(question.name),
+                normalizePersian(question.question),
+                normalizePersian(question.options.map((option) => option.text).join('\n')),
+                normalizePersian(question.Tags.map((tag) => tag.name).join('\n')),
+            ],
+            transaction,
+        }
+    );
+};
+
+const removeQuestion = (questionId, transaction) =>
+    sequelize.query('DELETE FROM QuestionSearch WHERE rowid = ?', { replacements: [questionId], transaction });
+
+const rebuildIndex = async () => {
+    await sequelize.query('DELETE FROM QuestionSearch');
+    const questions = await Question.findAll({ attributes: ['id'] });
+    for (const question of questions) {
+        await indexQuestion(question.id);
+    }
+};
+
+// Fills the index once the database is migrated if it is out of step with the questions table,
+// e.g. on a database that predates the index
+const ready = (async () => {
+    // The server and scripts refuse to run on a database with pending migrations, and say why
+    if (!(await assertMigrated().then(() => true, () => false))) {
+        return;
+    }
+
+    const [{ indexed }] = await sequelize.query('SELECT COUNT(*) AS indexed FROM QuestionSearch', {
+        type: QueryTypes.SELECT,
+    });
+    if (indexed !== (await Question.count())) {
+        await rebuildIndex();
+        console.log('Question search index rebuilt.');
+    }
+})().catch((error) => {
+    console.error('Error preparing the search index:', error);
+});
+
+// Splits text into normalized words, lowercased as in the index
+const tokenize = (text) =>
+    normalizePersian(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+
+/**
+ * Turns what a user typed into an FTS5 query: every word must appear, as a word or the start of
+ * one. Words are quoted, so FTS5 operators typed by the user are searched for as text.
+ *
+ * @returns {string|null} null if the query has no searchable words
+ */
+const buildMatchQuery = (text) => {
+    const terms = tokenize(text).slice(0, MAX_QUERY_TERMS);
+
+    return terms.length > 0 ? terms.map((term) => `"${term}"*`).join(' ') : null;
+};
+
+const escapeHtml = (text) =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Escapes the snippet, then turns the match markers into <mark> elements
+const formatSnippet = (snippet) =>
+    snippet
+        ? escapeHtml(snippet).split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>')
+        : null;
+
+const columnSnippet = (column) =>
+    `snippet(QuestionSearch, ${column}, '${MATCH_START}', '${MATCH_END}', '…', 12)`;
+
+/**
+ * Searches the question index, best matches first.
+ *
+ * @param {string} text - the search terms as typed by the user
+ * @param {{ limit: number, offset: number }} page
+ * @returns {Promise<{ total: number, results: { id, score, highlights }[] }>} highlights hold
+ *   HTML-escaped snippets of the name, question and options with the matches in <mark> elements
+ */
+const searchQuestions = async (text, { limit, offset }) => {
+    await ready;
+
+    const match = buildMatchQuery(text);
+    if (!match) {
+        return { total: 0, results: [] };
+    }
+
+    const [{ total }] = await sequelize.query(
+        'SELECT COUNT(*) AS total FROM QuestionSearch WHERE QuestionSearch MATCH ?',
+        { replacements: [match], type: QueryTypes.SELECT }
+    );
+
+    const { name, question, options, tags } = WEIGHTS;
+    const rows = await sequelize.query(
+        `SELECT rowid AS id, bm25(QuestionSearch, ${name}, ${question}, ${options}, ${tags}) AS relevance,
+            ${columnSnippet(0)} AS name, ${columnSnippet(1)} AS question, ${columnSnippet(2)} AS options
+        FROM QuestionSearch
+        WHERE QuestionSearch MATCH ?
+        ORDER BY relevance, rowid
+        LIMIT ? OFFSET ?`,
+        { replacements: [match, limit, offset], type: QueryTypes.SELECT }
+    );
+
+    return {
+        total,
+        results: rows.map((row) => ({
+            id: row.id,
+            // bm25 scores are negative, lower meaning more relevant
+            score: Math.round(-row.relevance * 1000) / 1000,
+            highlights: {
+                name: formatSnippet(row.name),
+                question: formatSnippet(row.question),
+                options: formatSnippet(row.options),
+            },
+        })),
+    };
+};
+
+/**
+ * The number of indexed questions, and how many of them each of the given words appears in.
+ *
+ * @param {string[]} terms - words as returned by tokenize
+ * @returns {Promise<{ total: number, counts: Map<string, number> }>} words in no question are left out
+ */
+const documentFrequencies = async (terms) => {
+    await ready;
+
+    const [{ total }] = await sequelize.query('SELECT COUNT(*) AS total FROM QuestionSearch', {
+        type: QueryTypes.SELECT,
+    });
+
+    const counts = new Map();
+    const unique = [...new Set(terms)];
+    // Stay well below SQLite's limit on the number of bound parameters
+    for (let start = 0; start < unique.length; start += 500) {
+        const chunk = unique.slice(start, start + 500);
+        const rows = await sequelize.query(
+            `SELECT term, doc FROM QuestionSearchVocabulary WHERE term IN (${chunk.map(() => '?').join(', ')})`,
+            { replacements: chunk, type: QueryTypes.SELECT }
+        );
+        rows.forEach((row) => counts.set(row.term, row.doc));
+    }
+
+    return { total, counts };
+};
+
+// Ids of the questions containing any of the given words, best matches first
+const questionsMatchingAny = async (terms, limit) => {
+    await ready;
+
+    if (terms.length === 0) {
+        return [];
+    }
+    const match = terms.map((term) => `"${term}"`).join(' OR ');
+    const { name, question, options, tags } = WEIGHTS;
+    const rows = await sequelize.query(
+        `SELECT rowid AS id FROM QuestionSearch
+        WHERE QuestionSearch MATCH ?
+        ORDER BY bm25(QuestionSearch, ${name}, ${question}, ${options}, ${tags}), rowid
+        LIMIT ?`,
+        { replacements: [match, limit], type: QueryTypes.SELECT }
+    );
+    return rows.map((row) => row.id);
+};
+
+module.exports = {
+    ready,
+    tokenize,
+    indexQuestion,
+    removeQuestion,
+    rebuildIndex,
+    searchQuestions,
+    documentFrequencies,
+    questionsMatchingAny,
+};
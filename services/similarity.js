@@ -0,0 +1,140 @@
+const { Op } = require('sequelize');
+const { Question, QuestionOption, QuestionTag, RelatedQuestion, Tag } = require('../models');
+const { tokenize, documentFrequencies, questionsMatchingAny } = require('./search');
+
+// Share of the similarity score given by each signal; the shares add up to 1
+const WEIGHTS = { text: 0.5, tags: 0.3, related: 0.2 };
+
+// Number of the question's most distinctive words used to find candidates in the search index
+const CANDIDATE_TERMS = 20;
+
+// Number of candidates taken from the search index and from the shared tags
+const CANDIDATE_LIMIT = 200;
+
+const SIMILARITY_INCLUDE = [
+    { model: Tag, through: { attributes: [] } },
+    { model: QuestionOption, as: 'options', attributes: ['text'] },
+];
+
+// The words of a question's name, text and options, with how often each appears
+const termCounts = (question) => {
+    const text = [question.name, question.question, ...question.options.map((option) => option.text)].join('\n');
+    const counts = new Map();
+    tokenize(text).forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+};
+
+// TF-IDF vector of a question with unit length; words found in fewer questions weigh more
+const tfIdfVector = (counts, frequencies) => {
+    const vector = new Map();
+    counts.forEach((count, term) => {
+        const documents = frequencies.counts.get(term) || 1;
+        vector.set(term, count * Math.log(1 + frequencies.total / documents));
+    });
+
+    const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    if (length > 0) {
+        vector.forEach((weight, term) => vector.set(term, weight / length));
+    }
+    return vector;
+};
+
+const cosine = (a, b) => {
+    let product = 0;
+    a.forEach((weight, term) => {
+        product += weight * (b.get(term) || 0);
+    });
+    return product;
+};
+
+const jaccard = (a, b) => {
+    const union = new Set([...a, ...b]);
+    if (union.size === 0) {
+        return 0;
+    }
+    return [...a].filter((item) => b.has(item)).length / union.size;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Ranks other questions by how similar they are to a question: the cosine similarity of their
+ * TF-IDF vectors over name, text and options, the overlap of their tags, and whether either is
+ * explicitly linked to the other as related.
+ *
+ * Candidates are the questions sharing a distinctive word or a tag with the question, and the
+ * related ones, so the score is not computed for every question.
+ *
+ * @param {number} questionId
+ * @param {{ limit: number }} options
+ * @returns {Promise<{ question: Question, score: number, signals: { text, tags, related } }[] | null>}
+ *   the most similar questions first, loaded with their Tags; null if the question does not exist
+ */
+const findSimilarQuestions = async (questionId, { limit }) => {
+    const reference = await Question.findByPk(questionId, { include: SIMILARITY_INCLUDE });
+    if (!reference) {
+        return null;
+    }
+
+    const referenceCounts = termCounts(reference);
+    const referenceFrequencies = await documentFrequencies([...referenceCounts.keys()]);
+    const referenceVector = tfIdfVector(referenceCounts, referenceFrequencies);
+    const referenceTags = new Set(reference.Tags.map((tag) => tag.id));
+
+    const links = await RelatedQuestion.findAll({
+        where: { [Op.or]: [{ question_id: reference.id }, { related_id: reference.id }] },
+    });
+    const related = new Set(
+        links.map((link) => (link.question_id === reference.id ? link.related_id : link.question_id))
+    );
+
+    const distinctiveTerms = [...referenceVector.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CANDIDATE_TERMS)
+        .map(([term]) => term);
+    const textCandidates = await questionsMatchingAny(distinctiveTerms, CANDIDATE_LIMIT);
+    const tagCandidates = await QuestionTag.findAll({
+        where: { tag_id: [...referenceTags], question_id: { [Op.ne]: reference.id } },
+        attributes: ['question_id'],
+        limit: CANDIDATE_LIMIT,
+    });
+
+    const candidateIds = new Set([
+        ...textCandidates,
+        ...tagCandidates.map((link) => link.question_id),
+        ...related,
+    ]);
+    candidateIds.delete(reference.id);
+    if (candidateIds.size === 0) {
+        return [];
+    }
+
+    const candidates = await Question.findAll({
+        where: { id: [...candidateIds] },
+        attributes: { exclude: ['answer_spec'] },
+        include: SIMILARITY_INCLUDE,
+    });
+
+    const candidateCounts = new Map(candidates.map((candidate) => [candidate.id, termCounts(candidate)]));
+    const frequencies = await documentFrequencies(
+        [...candidateCounts.values()].flatMap((counts) => [...counts.keys()])
+    );
+
+    return candidates
+        .map((candidate) => {
+            const signals = {
+                text: round(cosine(referenceVector, tfIdfVector(candidateCounts.get(candidate.id), frequencies))),
+                tags: round(jaccard(referenceTags, new Set(candidate.Tags.map((tag) => tag.id)))),
+                related: related.has(candidate.id) ? 1 : 0,
+            };
+            const score = round(
+                WEIGHTS.text * signals.text + WEIGHTS.tags * signals.tags + WEIGHTS.related * signals.related
+            );
+            return { question: candidate, score, signals };
+        })
+        .filter((item) => item.score > 0)
+        .sort((a, b) => b.score - a.score || a.question.id - b.question.id)
+        .slice(0, limit);
+};
+
+module.exports = { findSimilarQuestions };
@@ -0,0 +1,131 @@
+const { QueryTypes } = require('sequelize');
+const sequelize = require('../db');
+const { answerCreditSql } = require('./questions');
+const { CORRECT_STATUS } = require('./answerStatuses');
+
+const DEFAULT_ACTIVITY_DAYS = 30;
+const MAX_ACTIVITY_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EARNED = answerCreditSql('answers');
+const CORRECT = `CASE WHEN answers.answered_status = ${sequelize.escape(CORRECT_STATUS)} THEN 1 ELSE 0 END`;
+
+// Dates are stored in UTC as "YYYY-MM-DD HH:MM:SS.SSS +00:00", so their first ten characters are the UTC day
+const ANSWER_DAY = 'substr(answers.answered_at, 1, 10)';
+
+const select = (sql, replacements) => sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+
+// Counts with the accuracy, the average credit earned per answer, rounded to hundredths
+const withAccuracy = ({ answered, correct, earned, ...rest }) => ({
+    ...rest,
+    answered,
+    correct,
+    accuracy: answered > 0 ? Math.round((earned / answered) * 100) / 100 : null,
+});
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * The current and longest runs of consecutive days with answers. The current streak is still
+ * running if the user answered today or yesterday, so that it does not drop to 0 before they had a
+ * chance to answer today.
+ *
+ * @param {string[]} days - distinct UTC days with answers, as "YYYY-MM-DD", in ascending order
+ */
+const streaksOf = (days, today) => {
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    for (const day of days) {
+        const time = Date.parse(day);
+        run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    }
+
+    const last = days[days.length - 1];
+    const running = last === utcDay(today) || last === utcDay(new Date(today.getTime() - DAY_MS));
+    return { current: running ? run : 0, longest };
+};
+
+/**
+ * Computes the statistics of a user from their answers and the questions they wrote.
+ *
+ * Answers recorded before answers were timestamped count in the totals, but not in the streaks
+ * and activity, which are by UTC day.
+ *
+ * @param {number} userId
+ * @param {{ days: number }} options - the number of days of activity to return, up to today
+ */
+const userStatistics = async (userId, { days }) => {
+    const [totals] = await select(
+        `SELECT COUNT(*) AS answered, COALESCE(SUM(${CORRECT}), 0) AS correct, COALESCE(SUM(${EARNED}), 0) AS earned
+        FROM AnsweredQuestionUsers AS answers
+        WHERE answers.user_id = :userId`,
+        { userId }
+    );
+
+    const byTag = await select(
+        `SELECT Tags.id AS tag_id, Tags.name AS name, COUNT(*) AS answered, SUM(${CORRECT}) AS correct, SUM(${EARNED}) AS earned
+        FROM AnsweredQuestionUsers AS answers
+        JOIN QuestionTags ON QuestionTags.question_id = answers.question_id
+        JOIN Tags ON Tags.id = QuestionTags.tag_id
+        WHERE answers.user_id = :userId
+        GROUP BY Tags.id
+        ORDER BY answered DESC, Tags.name`,
+        { userId }
+    );
+
+    const byLevel = await select(
+        `SELECT Questions.level AS level, COUNT(*) AS answered, SUM(${CORRECT}) AS correct, SUM(${EARNED}) AS earned
+        FROM AnsweredQuestionUsers AS answers
+        JOIN Questions ON Questions.id = answers.question_id
+        WHERE answers.user_id = :userId
+        GROUP BY Questions.level
+        ORDER BY answered DESC`,
+        { userId }
+    );
+
+    // The questions the user wrote, and the answers given to them
+    const [authored] = await select(
+        `SELECT
+            (SELECT COUNT(*) FROM Questions WHERE creator_id = :userId) AS questions,
+            COUNT(answers.question_id) AS answered,
+            COALESCE(SUM(${CORRECT}), 0) AS correct,
+            COALESCE(SUM(${EARNED}), 0) AS earned
+        FROM AnsweredQuestionUsers AS answers
+        JOIN Questions ON Questions.id = answers.question_id
+        WHERE Questions.creator_id = :userId`,
+        { userId }
+    );
+
+    const activeDays = await select(
+        `SELECT ${ANSWER_DAY} AS day, COUNT(*) AS answered, SUM(${CORRECT}) AS correct
+        FROM AnsweredQuestionUsers AS answers
+        WHERE answers.user_id = :userId AND answers.answered_at IS NOT NULL
+        GROUP BY day
+        ORDER BY day`,
+        { userId }
+    );
+
+    const today = new Date();
+    const activityByDay = new Map(activeDays.map((row) => [row.day, row]));
+    const activity = [];
+    for (let offset = days - 1; offset >= 0; offset -= 1) {
+        const day = utcDay(new Date(today.getTime() - offset * DAY_MS));
+        const row = activityByDay.get(day);
+        activity.push({ date: day, answered: row ? row.answered : 0, correct: row ? row.correct : 0 });
+    }
+
+    return {
+        answers: withAccuracy(totals),
+        by_tag: byTag.map(withAccuracy),
+        by_level: byLevel.map(withAccuracy),
+        authored: withAccuracy(authored),
+        streaks: streaksOf(activeDays.map((row) => row.day), today),
+        activity,
+    };
+};
+
+module.exports = { DEFAULT_ACTIVITY_DAYS, MAX_ACTIVITY_DAYS, userStatistics };
@@ -0,0 +1,149 @@
+const { Op } = require('sequelize');
+const sequelize = require('../db');
+const { Tag, QuestionTag } = require('../models');
+
+const MAX_TAGS_PER_QUESTION = 10;
+
+// Number of distinct questions with the tag or any tag below it, for queries on Tag
+const TOTAL_QUESTION_NUMBER = [
+    sequelize.literal(
+        '(SELECT COUNT(DISTINCT QuestionTags.question_id) FROM QuestionTags' +
+            ' JOIN Tags AS descendant ON descendant.id = QuestionTags.tag_id' +
+            " WHERE descendant.path LIKE Tag.path || '%')"
+    ),
+    'total_question_number',
+];
+
+// The tag names given in a request body: `tags`, or a single `tag_name` as accepted before questions could have several tags
+const parseTagNames = (body) => {
+    if (body.tags !== undefined) {
+        return body.tags; // Rejected by validateTagNames unless it is an array of names
+    }
+    return body.tag_name !== undefined ? [body.tag_name] : undefined;
+};
+
+// Returns an error message if the tag names are not a valid list of tags for a question
+const validateTagNames = (names) => {
+    if (!Array.isArray(names) || names.length === 0) {
+        return 'At least one tag is required.';
+    }
+    if (names.some((name) => typeof name !== 'string' || !name.trim())) {
+        return 'Tag names must be non-empty strings.';
+    }
+    if (new Set(names).size > MAX_TAGS_PER_QUESTION) {
+        return `A question can have at most ${MAX_TAGS_PER_QUESTION} tags.`;
+    }
+    return null;
+};
+
+/**
+ * Looks up tags by name.
+ *
+ * @returns {Promise<{ tags: Tag[], missing: string[] }>} the existing tags, and the names no tag has
+ */
+const findTags = async (names, transaction) => {
+    const uniqueNames = [...new Set(names)];
+    const tags = await Tag.findAll({ where: { name: uniqueNames }, transaction });
+    const missing = uniqueNames.filter((name) => !tags.some((tag) => tag.name === name));
+    return { tags, missing };
+};
+
+const createTags = (names, transaction) =>
+    Promise.all(names.map((name) => Tag.create({ name }, { transaction })));
+
+// Links a question to exactly the given tags, keeping the question_number of every affected tag in sync
+const setQuestionTags = async (questionId, tagIds, transaction) => {
+    const links = await QuestionTag.findAll({ where: { question_id: questionId }, transaction });
+    const currentIds = links.map((link) => link.tag_id);
+    const added = [...new Set(tagIds)].filter((tagId) => !currentIds.includes(tagId));
+    const removed = currentIds.filter((tagId) => !tagIds.includes(tagId));
+
+    if (removed.length > 0) {
+        await QuestionTag.destroy({ where: { question_id: questionId, tag_id: removed }, transaction });
+        await Tag.decrement('question_number', { where: { id: removed }, transaction });
+    }
+
+    if (added.length > 0) {
+        await QuestionTag.bulkCreate(
+            added.map((tagId) => ({ question_id: questionId, tag_id: tagId })),
+            { transaction }
+        );
+        await Tag.increment('question_number', { where: { id: added }, transaction });
+    }
+};
+
+/**
+ * A subquery selecting the ids of the questions tagged with the named tags: with any one of them,
+ * or with all of them. With includeDescendants, a tag below a named tag counts as that tag.
+ */
+const taggedQuestionIds = (names, { match = 'any', includeDescendants = false } = {}) => {
+    const tagCondition = includeDescendants
+        ? "Tags.path LIKE named.path || '%'"
+        : 'Tags.id = named.id';
+
+    return sequelize.literal(
+        '(SELECT QuestionTags.question_id FROM QuestionTags' +
+            ' JOIN Tags ON Tags.id = QuestionTags.tag_id' +
+            ` JOIN Tags AS named ON ${tagCondition}` +
+            ` WHERE named.name IN (${names.map((name) => sequelize.escape(name)).join(', ')})` +
+            (match === 'all'
+                ? ` GROUP BY QuestionTags.question_id HAVING COUNT(DISTINCT named.id) = ${names.length})`
+                : ')')
+    );
+};
+
+/**
+ * Moves a tag and everything below it under a new parent, or to the top level if parent is null.
+ *
+ * @returns {Promise<string|null>} an error message if the move would create a cycle
+ */
+const moveTag = async (tag, parent, transaction) => {
+    if (parent && parent.path.startsWith(tag.path)) {
+        return 'A tag cannot be moved below itself or one of its descendants.';
+    }
+
+    const oldPath = tag.path;
+    const newPath = `${parent ? parent.path : '/'}${tag.id}/`;
+
+    await sequelize.query(
+        "UPDATE Tags SET path = :newPath || substr(path, length(:oldPath) + 1) WHERE path LIKE :oldPath || '%'",
+        { replacements: { oldPath, newPath }, transaction }
+    );
+    await tag.update({ parent_id: parent ? parent.id : null, path: newPath }, { transaction });
+
+    return null;
+};
+
+/**
+ * Loads a tag and all tags below it as a tree. Every node has its children and its
+ * total_question_number, the number of distinct questions in its subtree.
+ */
+const loadSubtree = async (tag) => {
+    const tags = await Tag.findAll({
+        where: { path: { [Op.startsWith]: tag.path } },
+        attributes: ['id', 'name', 'parent_id', 'question_number', TOTAL_QUESTION_NUMBER],
+        order: [['name', 'ASC']],
+    });
+
+    const nodes = new Map(tags.map((node) => [node.id, { ...node.toJSON(), children: [] }]));
+    nodes.forEach((node) => {
+        if (node.id !== tag.id && nodes.has(node.parent_id)) {
+            nodes.get(node.parent_id).children.push(node);
+        }
+    });
+
+    return nodes.get(tag.id);
+};
+
+module.exports = {
+    MAX_TAGS_PER_QUESTION,
+    TOTAL_QUESTION_NUMBER,
+    parseTagNames,
+    validateTagNames,
+    findTags,
+    createTags,
+    setQuestionTags,
+    taggedQuestionIds,
+    moveTag,
+    loadSubtree,
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserToken } = require('../models');
+
+const EMAIL_VERIFICATION = 'email_verification';
+const PASSWORD_RESET = 'password_reset';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a token for the user, valid for lifetimeMs, and returns it; only its hash is stored. The
+ * user's earlier tokens for the same purpose stop working, so only the latest email is valid.
+ *
+ * @param {'email_verification'|'password_reset'} purpose
+ */
+const issueToken = async (userId, purpose, lifetimeMs, transaction) => {
+    // Forget the tokens that can no longer be used, of every user
+    await UserToken.destroy({
+        where: {
+            [Op.or]: [{ user_id: userId, purpose }, { expires_at: { [Op.lt]: new Date() } }],
+        },
+        transaction,
+    });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.create(
+        { user_id: userId, purpose, token_hash: hashToken(token), expires_at: new Date(Date.now() + lifetimeMs) },
+        { transaction }
+    );
+    return token;
+};
+
+/**
+ * Uses up a token, which then cannot be used again.
+ *
+ * @returns {Promise<number|null>} the ID of the user the token was issued to, or null if the token
+ *   is unknown, expired, already used, or for another purpose
+ */
+const consumeToken = async (token, purpose, transaction) => {
+    const userToken = await UserToken.findOne({
+        where: { token_hash: hashToken(token), purpose, used_at: null, expires_at: { [Op.gt]: new Date() } },
+        transaction,
+    });
+    if (!userToken) {
+        return null;
+    }
+
+    // Only one of two concurrent requests with the same token marks it used
+    const [updated] = await UserToken.update(
+        { used_at: new Date() },
+        { where: { id: userToken.id, used_at: null }, transaction }
+    );
+    return updated === 1 ? userToken.user_id : null;
+};
+
+module.exports = { EMAIL_VERIFICATION, PASSWORD_RESET, issueToken, consumeToken };
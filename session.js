@@ -0,0 +1,38 @@
+const session = require('express-session');
+const SQLiteStore = require('connect-sqlite3')(session);
+const path = require('path');
+const config = require('./config');
+
+// Session configuration
+const sessionOptions = {
+    secret: config.session.secret,
+    name: config.session.cookieName,
+    // Idle expiry: the cookie lifetime is renewed on every request (see `rolling`)
+    idleTimeout: config.session.idleTimeoutMinutes * 60 * 1000,
+    // Absolute expiry: a session never outlives this, no matter how active it is
+    absoluteTimeout: config.session.absoluteTimeoutHours * 60 * 60 * 1000,
+    cookie: {
+        httpOnly: true,
+        secure: config.session.cookieSecure,
+        sameSite: config.session.cookieSameSite,
+    },
+};
+
+const setupSession = (app) => {
+    app.use(
+        session({
+            store: new SQLiteStore({
+                db: path.basename(config.sessionStorage),
+                dir: path.dirname(config.sessionStorage),
+            }),
+            name: sessionOptions.name,
+            secret: sessionOptions.secret,
+            resave: false,
+            saveUninitialized: false,
+            rolling: true,
+            cookie: { ...sessionOptions.cookie, maxAge: sessionOptions.idleTimeout },
+        })
+    );
+};
+
+module.exports = { setupSession, sessionOptions };
@@ -1,6 +1,7 @@
+const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-const port = process.env.PORT || 9090;
+const config = require('./config');
 
 // Swagger configuration
 const swaggerOptions = {
@@ -13,11 +14,14 @@ const swaggerOptions = {
         },
         servers: [
             {
-                url: `http://localhost:${port}`,
+                url: `http://localhost:${config.port}`,
             },
         ],
+        // Either a logged-in session or an API token; see the securitySchemes in routes/apiTokens.js
+        security: [{ session: [] }, { apiToken: [] }],
     },
-    apis: ['./routes/*.js'],
+    // Relative to this file, as the request validation is built from the same definitions
+    apis: ['routes/*.js', 'pagination.js', 'errors.js'].map((file) => path.join(__dirname, file)),
 };
 
 const swaggerSpec = swaggerJSDoc(swaggerOptions);
@@ -26,4 +30,4 @@ const setupSwagger = (app) => {
     app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 };
 
-module.exports = setupSwagger;
+module.exports = { setupSwagger, swaggerSpec };
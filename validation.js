@@ -0,0 +1,191 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { swaggerSpec } = require('./swagger');
+const { ApiError } = require('./errors');
+
+/**
+ * Requests are validated against the swagger definitions of their routes, so the documented
+ * parameters and request bodies are the ones enforced. Add validateRequest to a route after its
+ * authentication middleware; it checks:
+ *
+ * - the path, query and header parameters, whose values are converted to the documented types, so
+ *   that e.g. integer parameters reach the route as numbers and booleans as true or false
+ * - the JSON request body, as sent; other content types the route documents are left to the route
+ *
+ * Fields and parameters that are not documented are allowed. Invalid requests are rejected with a
+ * 400 validation_failed error, listing the problem with each field in details.
+ */
+
+const SPEC_ID = 'openapi.json';
+
+// OpenAPI keywords that JSON Schema does not have, and that do not affect validation
+const ANNOTATIONS = ['components', 'example', 'xml', 'externalDocs', 'discriminator'];
+
+const createAjv = (options) => {
+    const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+    addFormats(ajv);
+    ajv.addVocabulary(ANNOTATIONS);
+    // The shared schemas, which the schemas of the operations refer to
+    ajv.addSchema({ $id: SPEC_ID, components: swaggerSpec.components || {} });
+    return ajv;
+};
+
+// Bodies are validated as sent; parameters are text and are converted to their documented type
+const bodyAjv = createAjv({});
+const parameterAjv = createAjv({ coerceTypes: 'array' });
+
+// Points the "#/components/..." references of an operation's schema at the shared schemas
+const resolveRefs = (schema) => {
+    if (Array.isArray(schema)) {
+        return schema.map(resolveRefs);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    return Object.fromEntries(
+        Object.entries(schema).map(([key, value]) => [
+            key,
+            key === '$ref' && value.startsWith('#/') ? `${SPEC_ID}${value}` : resolveRefs(value),
+        ])
+    );
+};
+
+const lookUpRef = (ref) =>
+    ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((node, part) => node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')], swaggerSpec);
+
+// The schema of the parameters of one location, as an object with a property for each
+const parametersSchema = (parameters, location) => {
+    const matching = parameters.filter((parameter) => parameter.in === location);
+    if (matching.length === 0) {
+        return null;
+    }
+    return resolveRefs({
+        type: 'object',
+        properties: Object.fromEntries(matching.map((parameter) => [parameter.name, parameter.schema || {}])),
+        required: matching.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+    });
+};
+
+// Express route paths name their parameters ":id"; OpenAPI paths "{id}"
+const specPathOf = (req) => {
+    const path = `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}`;
+    return path.replace(/:(\w+)/g, '{$1}');
+};
+
+const validators = new Map();
+
+// Compiles the validators of an operation once, the first time it is requested
+const validatorsFor = (method, path) => {
+    const key = `${method} ${path}`;
+    if (validators.has(key)) {
+        return validators.get(key);
+    }
+
+    const pathItem = swaggerSpec.paths && swaggerSpec.paths[path];
+    const operation = pathItem && pathItem[method];
+    if (!operation) {
+        throw new Error(`${method.toUpperCase()} ${path} has no swagger definition to validate requests against.`);
+    }
+
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map((parameter) =>
+        parameter.$ref ? lookUpRef(parameter.$ref) : parameter
+    );
+    const compile = (ajv, schema) => (schema ? ajv.compile(schema) : null);
+    const content = (operation.requestBody && operation.requestBody.content) || {};
+
+    const compiled = {
+        path: compile(parameterAjv, parametersSchema(parameters, 'path')),
+        query: compile(parameterAjv, parametersSchema(parameters, 'query')),
+        header: compile(parameterAjv, parametersSchema(parameters, 'header')),
+        body: compile(bodyAjv, content['application/json'] && resolveRefs(content['application/json'].schema)),
+        otherContentTypes: Object.keys(content).filter((type) => type !== 'application/json'),
+    };
+    validators.set(key, compiled);
+    return compiled;
+};
+
+// Writes a path of the data as "options[0].text"
+const fieldName = (instancePath) =>
+    instancePath
+        .split('/')
+        .slice(1)
+        .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((field, part) => (/^\d+$/.test(part) ? `${field}[${part}]` : field ? `${field}.${part}` : part), '');
+
+const describeTypes = (schemas) => schemas.map((schema) => schema.type || 'a value').join(' or ');
+
+const describeError = (error) => {
+    switch (error.keyword) {
+        case 'required':
+            return 'is required';
+        case 'enum':
+            return `must be one of: ${error.params.allowedValues.map(String).join(', ')}`;
+        case 'oneOf':
+        case 'anyOf':
+            return `must be ${describeTypes(error.schema)}`;
+        default:
+            return error.message;
+    }
+};
+
+// Turns the errors of ajv into details, leaving out the errors of each alternative of a failed oneOf
+const toDetails = (errors, location) => {
+    const alternatives = errors
+        .filter((error) => error.keyword === 'oneOf' || error.keyword === 'anyOf')
+        .map((error) => `${error.schemaPath}/`);
+    return errors
+        .filter((error) => !alternatives.some((schemaPath) => error.schemaPath.startsWith(schemaPath)))
+        .map((error) => {
+            let field = fieldName(error.instancePath);
+            if (error.keyword === 'required') {
+                field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+            }
+            return { in: location, field, message: describeError(error) };
+        });
+};
+
+const validationError = (details) => new ApiError(400, null, { code: 'validation_failed', details });
+
+/**
+ * Validates the request against the swagger definition of its route, and converts its parameters
+ * to their documented types.
+ */
+const validateRequest = (req, res, next) => {
+    let compiled;
+    try {
+        compiled = validatorsFor(req.method.toLowerCase(), specPathOf(req));
+    } catch (error) {
+        return next(error);
+    }
+
+    // Header names are case-insensitive; they are read rather than converted
+    const headers = {};
+    if (compiled.header) {
+        Object.keys(compiled.header.schema.properties).forEach((name) => {
+            if (req.get(name) !== undefined) {
+                headers[name] = req.get(name);
+            }
+        });
+    }
+
+    const details = [];
+    const check = (validator, data, location) => {
+        if (validator && !validator(data)) {
+            details.push(...toDetails(validator.errors, location));
+        }
+    };
+    check(compiled.path, req.params, 'path');
+    check(compiled.query, req.query, 'query');
+    check(compiled.header, headers, 'header');
+    // Routes that also take other content types validate those themselves
+    if (compiled.body && (compiled.otherContentTypes.length === 0 || req.is('application/json'))) {
+        check(compiled.body, req.body, 'body');
+    }
+
+    next(details.length > 0 ? validationError(details) : undefined);
+};
+
+module.exports = { validateRequest };